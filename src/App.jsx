@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 
 // Load Lucide React for icons (ensure it's available in the environment)
 // If not, you might need to use inline SVGs or other icon libraries.
@@ -15,60 +15,230 @@ import {
   CalendarDays,
   BarChart,
   ListTodo,
+  LayoutDashboard,
+  AlertTriangle,
+  TrendingUp,
+  Copy,
+  Upload,
+  CheckCircle,
+  XCircle,
+  Download,
+  Printer,
+  Repeat,
+  Settings,
+  Users,
+  History,
+  RotateCcw,
+  PiggyBank,
+  Wallet,
 } from "lucide-react";
+import { StackedBarChart, LineChart } from "./charts.jsx";
+import { DataTable } from "./table.jsx";
+import { parseCsv, parseAmount, parseDate, DATE_FORMATS } from "./csv.js";
+import { downloadCsv, downloadJson } from "./download.js";
+import { apiCall, setAuthFailureHandler } from "./api.js";
+import {
+  getTokenExpiry,
+  getRefreshToken,
+  refreshAccessToken,
+  storeTokens,
+  clearTokens,
+} from "./session.js";
+import {
+  useOfflineState,
+  cachedGet,
+  queuedMutation,
+  replayQueue,
+  getOfflineState,
+  onQueueItemSynced,
+  retryQueueItem,
+  discardQueueItem,
+  clearOfflineData,
+  applyPendingChanges,
+} from "./offline.js";
 
-const API_BASE_URL = "http://127.0.0.1:8000"; // Your FastAPI backend URL
-
-// Utility function for API calls
-const apiCall = async (endpoint, method = "GET", data = null, token = null) => {
-  const headers = {
-    "Content-Type": "application/json",
-  };
-  if (token) {
-    headers["Authorization"] = `Bearer ${token}`;
-  }
-
-  const config = {
-    method,
-    headers,
-  };
-  if (data) {
-    config.body = JSON.stringify(data);
-  }
+import {
+  useLocation,
+  useQueryParam,
+  navigate,
+  matchPath,
+  buildPath,
+} from "./router.js";
+import {
+  FREQUENCIES,
+  loadRecurringRules,
+  saveRecurringRules,
+  getDueOccurrences,
+  getOccurrenceDate,
+  markRuleReviewed,
+  toMonthKey,
+} from "./recurring.js";
+import {
+  FILTER_KEYS,
+  DATE_PERIODS,
+  getDateRange,
+  parseBudgetNames,
+  formatBudgetNames,
+  filterRealizations,
+  loadFilterPresets,
+  saveFilterPresets,
+} from "./filters.js";
+import {
+  saveSplitGroup,
+  removeFromSplitGroup,
+  getSplitRemainder,
+  groupSplitRealizations,
+} from "./splits.js";
+import {
+  CURRENCIES,
+  LOCALES,
+  useCurrencySettings,
+  getCurrencySettings,
+  saveCurrencySettings,
+  formatAmount,
+  getCachedRate,
+  cacheRate,
+  convertToBase,
+  getForeignAmount,
+  saveForeignAmount,
+} from "./currency.js";
+import {
+  ROLES,
+  useActiveHousehold,
+  getActiveHousehold,
+  setActiveHousehold,
+  getMemberRole,
+  canEditHousehold,
+  fetchHouseholds,
+  createHousehold,
+  inviteMember,
+  updateMemberRole,
+  removeMember,
+} from "./household.js";
+import {
+  useActivityLog,
+  recordActivity,
+  clearActivityLog,
+  getBudgetRealizations,
+  getChangedFields,
+  undoActivity,
+} from "./history.js";
+import { notify, confirmAction } from "./notifications.js";
+import { ToastRegion, ConfirmDialog } from "./toasts.jsx";
+import {
+  MIN_YEAR,
+  MAX_YEAR,
+  BUDGET_FIELDS,
+  REALIZATION_FIELDS,
+  REGISTRATION_FIELDS,
+  hasErrors,
+  validateAmount,
+  validateYear,
+  validateBudget,
+  validateBudgetCopy,
+  validateRealization,
+  validateRegistration,
+  validateGoal,
+  validateContribution,
+  validateIncome,
+  getServerFieldErrors,
+  withoutError,
+} from "./validation.js";
+import {
+  GOAL_STATUSES,
+  loadGoals,
+  saveGoals,
+  getSavedAmount,
+  getRemainingAmount,
+  getProjectedCompletion,
+  getRequiredMonthly,
+  getGoalStatus,
+  getContributions,
+  formatMonthKey,
+} from "./goals.js";
+import {
+  loadIncome,
+  saveIncome,
+  getMonthlyIncome,
+  getCashFlow,
+  getLeftToBudget,
+} from "./income.js";
+import {
+  isBudgetRolling,
+  setBudgetRolling,
+  applyRollover,
+} from "./rollover.js";
+import {
+  MONTHS,
+  FILL_MODES,
+  buildPlannerGrid,
+  fillRow,
+  getRowTotal,
+  getMonthTotal,
+  getPlannerChanges,
+  loadTemplates,
+  saveTemplates,
+  getTemplateFromMonth,
+  applyTemplate,
+} from "./planner.js";
+import {
+  UNCATEGORIZED,
+  loadBudgetCategories,
+  getBudgetCategory,
+  setBudgetCategory,
+  getCategoryNames,
+  groupBudgetsByCategory,
+} from "./categories.js";
+import { setStorageUser, clearScopedData, createScopedKey } from "./storage.js";
 
-  try {
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, config);
-    const responseData = await response.json();
+const SESSION_WARNING_MS = 2 * 60 * 1000; // Warn this long before the token expires
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1; // setTimeout fires at once for longer delays
+const VIEW_ONLY_MESSAGE = "You have view-only access to this household.";
+const PAGES = [
+  "budgets",
+  "realizations",
+  "goals",
+  "cash-flow",
+  "dashboard",
+  "reports",
+  "quick-add",
+  "settings",
+  "household",
+  "history",
+]; // Top-level routes once logged in
 
-    if (!response.ok) {
-      // Handle HTTP errors (4xx, 5xx)
-      const errorMessage =
-        responseData.message || responseData.detail || "An error occurred";
-      throw new Error(errorMessage);
-    }
-    return responseData;
-  } catch (error) {
-    console.error("API Call Error:", error);
-    throw error;
+// Send the user to the login page, remembering where they were headed
+const redirectToLogin = () => {
+  const { pathname, search } = window.location;
+  if (pathname === "/login" || pathname === "/register") {
+    return;
   }
+  navigate(
+    buildPath("/login", {
+      redirect: pathname === "/" ? "" : `${pathname}${search}`,
+    }),
+    { replace: true }
+  );
 };
 
+// The page to open after login: only a path within the app, never "//host" or a full URL
+const getLoginRedirect = (redirect) =>
+  /^\/(?![/\\])/.test(redirect || "") ? redirect : "/budgets";
+
 // Main App Component
 const App = () => {
   const [token, setToken] = useState(localStorage.getItem("token"));
   const [currentUser, setCurrentUser] = useState(null);
-  const [currentPage, setCurrentPage] = useState("budgets"); // 'budgets', 'realizations', 'login', 'register'
-  const [message, setMessage] = useState("");
-  const [messageType, setMessageType] = useState(""); // 'success' or 'error'
+  const location = useLocation();
+  const currentPage = location.pathname.split("/")[1] || "budgets"; // 'budgets', 'realizations', 'goals', 'cash-flow', 'dashboard', 'reports', 'quick-add', 'settings', 'household', 'history', 'login', 'register'
+  useCurrencySettings(); // Re-render every amount when the currency or locale changes
+  const household = useActiveHousehold();
+  const [reauthRequired, setReauthRequired] = useState(false);
+  const [expiryWarningAt, setExpiryWarningAt] = useState(null); // Token expiry (ms) once the warning is due
+  const pendingReauth = useRef(null); // { promise, resolve } shared by concurrent 401s
 
-  const showMessage = (text, type) => {
-    setMessage(text);
-    setMessageType(type);
-    setTimeout(() => {
-      setMessage("");
-      setMessageType("");
-    }, 5000); // Message disappears after 5 seconds
-  };
+  // A stable module function, so sections that list it as a dependency don't refetch on every navigation
+  const showMessage = notify;
 
   const fetchCurrentUser = useCallback(async () => {
     if (!token) {
@@ -76,70 +246,65 @@ const App = () => {
       return;
     }
     try {
-      const user = await apiCall("/users/me/", "GET", null, token);
+      const user = await apiCall("/users/me/", "GET", null, token, {
+        retryAuth: false,
+      });
+      setStorageUser(user.username);
       setCurrentUser(user);
     } catch (error) {
       console.error("Failed to fetch current user:", error);
       setToken(null);
-      localStorage.removeItem("token");
+      clearTokens();
       setCurrentUser(null);
       showMessage("Session expired or invalid. Please log in again.", "error");
-      setCurrentPage("login");
+      redirectToLogin();
     }
-  }, [token]);
+  }, [token, showMessage]);
 
   useEffect(() => {
     const fetchCurrentUser = async () => {
       if (!token) {
         setCurrentUser(null);
-        setCurrentPage("login");
+        redirectToLogin();
         return;
       }
       try {
-        const user = await apiCall("/users/me/", "GET", null, token);
+        const user = await apiCall("/users/me/", "GET", null, token, {
+          retryAuth: false,
+        });
+        setStorageUser(user.username);
         setCurrentUser(user);
       } catch (error) {
         console.error("Failed to fetch current user:", error);
         setToken(null);
-        localStorage.removeItem("token");
+        clearTokens();
         setCurrentUser(null);
         showMessage(
           "Session expired or invalid. Please log in again.",
           "error"
         );
-        setCurrentPage("login");
+        redirectToLogin();
       }
     };
     fetchCurrentUser();
-  }, [token]);
+  }, [token, showMessage]);
 
   const handleLogin = async (username, password) => {
     try {
       // OAuth2PasswordRequestForm expects x-www-form-urlencoded
-      const response = await fetch(`${API_BASE_URL}/token`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams({ username, password }).toString(),
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        const errorMessage = data.detail || "Login failed";
-        showMessage(errorMessage, "error");
-        return;
-      }
+      const data = await apiCall(
+        "/token",
+        "POST",
+        new URLSearchParams({ username, password })
+      );
 
       setToken(data.access_token);
-      localStorage.setItem("token", data.access_token);
+      storeTokens(data);
       showMessage("Login successful!", "success");
       fetchCurrentUser();
-      setCurrentPage("budgets"); // Redirect to budgets page after login
+      navigate(getLoginRedirect(location.query.redirect)); // Return to the requested page after login
     } catch (error) {
-      console.error("Login error:", error);
-      showMessage("Network error during login. Please try again.", "error");
+      showMessage(error.message || "Login failed", "error");
     }
   };
 
@@ -147,45 +312,181 @@ const App = () => {
     try {
       await apiCall("/register/", "POST", { username, password });
       showMessage("Registration successful! Please log in.", "success");
-      setCurrentPage("login");
+      navigate("/login");
     } catch (error) {
+      const fieldErrors = getServerFieldErrors(error, REGISTRATION_FIELDS);
+      if (fieldErrors) {
+        return fieldErrors;
+      }
       showMessage(error.message || "Registration failed", "error");
     }
   };
 
-  const handleLogout = () => {
+  // Changes made offline only live in this browser, so they're sent before logging out if
+  // possible. syncFirst is false when the session has already lapsed and can't send them.
+  const handleLogout = async ({ syncFirst = true } = {}) => {
+    if (syncFirst && getOfflineState().queue.length > 0) {
+      await replayQueue(token);
+    }
+    const { queue } = getOfflineState();
+    if (queue.length > 0) {
+      const confirmed = await confirmAction({
+        title: "Unsynced Changes",
+        message: `${queue.length} change${
+          queue.length === 1 ? "" : "s"
+        } made offline could not be synced yet and will be lost if you log out. Stay logged in to sync once you're back online.`,
+        details: queue.map((item) => `${item.method} ${item.endpoint}`),
+        confirmLabel: "Log Out Anyway",
+        danger: true,
+      });
+      if (!confirmed) {
+        return;
+      }
+    }
     setToken(null);
-    localStorage.removeItem("token");
+    clearTokens();
+    clearOfflineData();
+    setActiveHousehold(null);
+    clearScopedData();
+    setStorageUser(null);
     setCurrentUser(null);
+    setReauthRequired(false);
+    setExpiryWarningAt(null);
     showMessage("Logged out successfully.", "success");
-    setCurrentPage("login");
+    navigate("/login");
+  };
+
+  // Resolve every request waiting on re-authentication with the new token (or null)
+  const settleReauth = (newToken) => {
+    pendingReauth.current?.resolve(newToken);
+    pendingReauth.current = null;
+  };
+
+  // Obtain a fresh token: silently via the refresh token if possible, otherwise by
+  // asking the user to log in again in a modal that keeps the current page mounted
+  const requestReauth = useCallback(() => {
+    if (pendingReauth.current) {
+      return pendingReauth.current.promise;
+    }
+    let resolve;
+    const promise = new Promise((r) => {
+      resolve = r;
+    });
+    pendingReauth.current = { promise, resolve };
+    refreshAccessToken().then((newToken) => {
+      if (newToken) {
+        setToken(newToken);
+        setExpiryWarningAt(null);
+        pendingReauth.current?.resolve(newToken);
+        pendingReauth.current = null;
+      } else {
+        setReauthRequired(true);
+      }
+    });
+    return promise;
+  }, []);
+
+  useEffect(() => {
+    setAuthFailureHandler(requestReauth);
+    return () => setAuthFailureHandler(null);
+  }, [requestReauth]);
+
+  // Warn ahead of expiry, or renew silently when a refresh token is available
+  useEffect(() => {
+    const expiresAt = getTokenExpiry(token);
+    if (!expiresAt) {
+      return;
+    }
+    // Long-lived tokens wait in steps of the longest delay setTimeout supports
+    let timer;
+    const schedule = () => {
+      const delay = expiresAt - Date.now() - SESSION_WARNING_MS;
+      timer = setTimeout(() => {
+        if (delay > MAX_TIMER_DELAY_MS) {
+          schedule();
+        } else if (getRefreshToken()) {
+          requestReauth();
+        } else {
+          setExpiryWarningAt(expiresAt);
+        }
+      }, Math.min(Math.max(0, delay), MAX_TIMER_DELAY_MS));
+    };
+    schedule();
+    return () => clearTimeout(timer);
+  }, [token, requestReauth]);
+
+  // Foreign amounts of expenses saved offline are recorded once they sync and have an id
+  useEffect(
+    () =>
+      onQueueItemSynced((item, result) => {
+        if (item.meta && "foreign" in item.meta) {
+          saveForeignAmount(
+            result?.id ?? item.endpoint.split("/").filter(Boolean).pop(),
+            item.meta.foreign
+          );
+        }
+        if (item.meta && "rolling" in item.meta && result?.id !== undefined) {
+          setBudgetRolling(result.id, item.meta.rolling);
+        }
+      }),
+    []
+  );
+
+  // Replay changes queued while offline on start-up and whenever connectivity returns
+  useEffect(() => {
+    const handleOnline = () => replayQueue(token);
+    handleOnline();
+    window.addEventListener("online", handleOnline);
+    return () => window.removeEventListener("online", handleOnline);
+  }, [token]);
+
+  const handleReauth = async (username, password) => {
+    try {
+      const data = await apiCall(
+        "/token",
+        "POST",
+        new URLSearchParams({ username, password }),
+        null,
+        { retryAuth: false }
+      );
+      storeTokens(data);
+      setToken(data.access_token);
+      setReauthRequired(false);
+      setExpiryWarningAt(null);
+      settleReauth(data.access_token);
+      showMessage("Session renewed.", "success");
+    } catch (error) {
+      showMessage(error.message || "Login failed", "error");
+    }
+  };
+
+  const handleReauthCancel = () => {
+    settleReauth(null);
+    handleLogout({ syncFirst: false });
   };
 
+  // Logged-in users landing on "/", an auth page or an unknown path go to budgets
+  useEffect(() => {
+    if (currentUser && !PAGES.includes(currentPage)) {
+      navigate("/budgets", { replace: true });
+    }
+  }, [currentUser, currentPage]);
+
   // Conditional rendering based on authentication and current page
   if (!token || !currentUser) {
     return (
       <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4 font-inter">
-        {message && (
-          <div
-            className={`absolute top-4 right-4 p-3 rounded-lg shadow-md ${
-              messageType === "success"
-                ? "bg-green-100 text-green-800"
-                : "bg-red-100 text-red-800"
-            }`}
-          >
-            {message}
-          </div>
-        )}
+        <ToastRegion />
         {currentPage === "login" && (
           <LoginForm
             onLogin={handleLogin}
-            onSwitchToRegister={() => setCurrentPage("register")}
+            onSwitchToRegister={() => navigate("/register")}
           />
         )}
         {currentPage === "register" && (
           <RegisterForm
             onRegister={handleRegister}
-            onSwitchToLogin={() => setCurrentPage("login")}
+            onSwitchToLogin={() => navigate("/login")}
           />
         )}
       </div>
@@ -195,14 +496,36 @@ const App = () => {
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col font-inter">
       {/* Header */}
-      <header className="bg-gradient-to-r from-blue-600 to-purple-700 text-white p-4 shadow-lg flex justify-between items-center rounded-b-lg">
+      <header className="bg-gradient-to-r from-blue-600 to-purple-700 text-white p-4 shadow-lg flex justify-between items-center rounded-b-lg print:hidden">
         <h1 className="text-3xl font-bold flex items-center">House Finance</h1>
         <nav className="flex items-center space-x-4">
           <span className="text-lg font-medium flex items-center">
             <User size={20} className="mr-1" /> {currentUser.username}
           </span>
           <button
-            onClick={handleLogout}
+            onClick={() => navigate("/history")}
+            className="flex items-center px-4 py-2 bg-white/20 hover:bg-white/30 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
+            title="Recent Changes"
+          >
+            <History size={18} className="mr-2" /> History
+          </button>
+          <button
+            onClick={() => navigate("/household")}
+            className="flex items-center px-4 py-2 bg-white/20 hover:bg-white/30 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
+            title="Household"
+          >
+            <Users size={18} className="mr-2" />{" "}
+            {household ? household.name : "Personal"}
+          </button>
+          <button
+            onClick={() => navigate("/settings")}
+            className="flex items-center px-4 py-2 bg-white/20 hover:bg-white/30 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
+            title="Settings"
+          >
+            <Settings size={18} className="mr-2" /> Settings
+          </button>
+          <button
+            onClick={() => handleLogout()}
             className="flex items-center px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
           >
             <LogOut size={18} className="mr-2" /> Logout
@@ -210,24 +533,43 @@ const App = () => {
         </nav>
       </header>
 
+      {reauthRequired && (
+        <ReloginModal
+          username={currentUser.username}
+          onLogin={handleReauth}
+          onLogout={handleReauthCancel}
+        />
+      )}
+
       {/* Main Content Area */}
       <main className="flex-1 p-6">
-        {message && (
-          <div
-            className={`mb-4 p-3 rounded-lg shadow-md ${
-              messageType === "success"
-                ? "bg-green-100 text-green-800"
-                : "bg-red-100 text-red-800"
-            }`}
-          >
-            {message}
+        <SyncStatusPanel token={token} />
+
+        {expiryWarningAt && !reauthRequired && (
+          <div className="mb-4 p-3 rounded-lg shadow-md bg-amber-100 text-amber-800 flex justify-between items-center print:hidden">
+            <span className="flex items-center">
+              <AlertTriangle size={18} className="mr-2" />
+              {expiryWarningAt > Date.now()
+                ? `Your session expires at ${new Date(
+                    expiryWarningAt
+                  ).toLocaleTimeString()}.`
+                : "Your session has expired."}
+            </span>
+            <button
+              onClick={requestReauth}
+              className="px-4 py-1 bg-amber-500 hover:bg-amber-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
+            >
+              Renew Session
+            </button>
           </div>
         )}
+        <ToastRegion />
+        <ConfirmDialog />
 
         {/* Navigation Tabs */}
-        <div className="flex justify-center mb-6 space-x-4">
+        <div className="flex justify-center mb-6 space-x-4 print:hidden">
           <button
-            onClick={() => setCurrentPage("budgets")}
+            onClick={() => navigate("/budgets")}
             className={`flex items-center px-6 py-3 rounded-xl shadow-md transition duration-300 ease-in-out ${
               currentPage === "budgets"
                 ? "bg-blue-500 text-white transform scale-105"
@@ -237,7 +579,7 @@ const App = () => {
             <BarChart size={20} className="mr-2" /> Budgets
           </button>
           <button
-            onClick={() => setCurrentPage("realizations")}
+            onClick={() => navigate("/realizations")}
             className={`flex items-center px-6 py-3 rounded-xl shadow-md transition duration-300 ease-in-out ${
               currentPage === "realizations"
                 ? "bg-blue-500 text-white transform scale-105"
@@ -246,6 +588,46 @@ const App = () => {
           >
             <ListTodo size={20} className="mr-2" /> Realizations
           </button>
+          <button
+            onClick={() => navigate("/goals")}
+            className={`flex items-center px-6 py-3 rounded-xl shadow-md transition duration-300 ease-in-out ${
+              currentPage === "goals"
+                ? "bg-blue-500 text-white transform scale-105"
+                : "bg-white text-gray-700 hover:bg-gray-100"
+            }`}
+          >
+            <PiggyBank size={20} className="mr-2" /> Goals
+          </button>
+          <button
+            onClick={() => navigate("/cash-flow")}
+            className={`flex items-center px-6 py-3 rounded-xl shadow-md transition duration-300 ease-in-out ${
+              currentPage === "cash-flow"
+                ? "bg-blue-500 text-white transform scale-105"
+                : "bg-white text-gray-700 hover:bg-gray-100"
+            }`}
+          >
+            <Wallet size={20} className="mr-2" /> Cash Flow
+          </button>
+          <button
+            onClick={() => navigate("/dashboard")}
+            className={`flex items-center px-6 py-3 rounded-xl shadow-md transition duration-300 ease-in-out ${
+              currentPage === "dashboard"
+                ? "bg-blue-500 text-white transform scale-105"
+                : "bg-white text-gray-700 hover:bg-gray-100"
+            }`}
+          >
+            <LayoutDashboard size={20} className="mr-2" /> Dashboard
+          </button>
+          <button
+            onClick={() => navigate("/reports")}
+            className={`flex items-center px-6 py-3 rounded-xl shadow-md transition duration-300 ease-in-out ${
+              currentPage === "reports"
+                ? "bg-blue-500 text-white transform scale-105"
+                : "bg-white text-gray-700 hover:bg-gray-100"
+            }`}
+          >
+            <TrendingUp size={20} className="mr-2" /> Reports
+          </button>
         </div>
 
         {/* Render current page component */}
@@ -255,11 +637,169 @@ const App = () => {
         {currentPage === "realizations" && (
           <RealizationSection token={token} showMessage={showMessage} />
         )}
+        {currentPage === "goals" && (
+          <GoalsSection token={token} showMessage={showMessage} />
+        )}
+        {currentPage === "cash-flow" && (
+          <CashFlowSection token={token} showMessage={showMessage} />
+        )}
+        {currentPage === "dashboard" && (
+          <DashboardSection token={token} showMessage={showMessage} />
+        )}
+        {currentPage === "reports" && (
+          <ReportsSection token={token} showMessage={showMessage} />
+        )}
+        {currentPage === "quick-add" && (
+          <QuickAddSection token={token} showMessage={showMessage} />
+        )}
+        {currentPage === "settings" && (
+          <SettingsSection showMessage={showMessage} />
+        )}
+        {currentPage === "history" && (
+          <HistorySection token={token} showMessage={showMessage} />
+        )}
+        {currentPage === "household" && (
+          <HouseholdSection
+            token={token}
+            showMessage={showMessage}
+            username={currentUser.username}
+          />
+        )}
       </main>
     </div>
   );
 };
 
+// --- Offline Sync ---
+
+const SyncBadge = ({ row }) => {
+  if (!row.syncStatus) {
+    return null;
+  }
+  const failed = row.syncStatus === "failed";
+  return (
+    <span
+      className={`ml-2 px-2 py-0.5 text-xs font-semibold rounded-full no-underline inline-block ${
+        failed ? "bg-red-100 text-red-800" : "bg-amber-100 text-amber-800"
+      }`}
+    >
+      {failed
+        ? "Sync failed"
+        : row.pendingDelete
+        ? "Pending delete"
+        : "Pending sync"}
+    </span>
+  );
+};
+
+// Offline banner, pending-change count and resolution of changes the server rejected
+const SyncStatusPanel = ({ token }) => {
+  const { offline, syncing, queue } = useOfflineState();
+  const failedItems = queue.filter((item) => item.status === "failed");
+  const pendingCount = queue.length - failedItems.length;
+
+  if (!offline && queue.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4 space-y-2 print:hidden">
+      {(offline || pendingCount > 0) && (
+        <div className="p-3 rounded-lg shadow-md bg-amber-100 text-amber-800 flex justify-between items-center">
+          <span>
+            {offline ? "You are offline. Showing saved data." : "Back online."}{" "}
+            {pendingCount > 0 &&
+              `${pendingCount} change${
+                pendingCount === 1 ? "" : "s"
+              } waiting to sync.`}
+          </span>
+          {pendingCount > 0 && (
+            <button
+              onClick={() => replayQueue(token)}
+              disabled={syncing}
+              className="px-4 py-1 bg-amber-500 hover:bg-amber-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {syncing ? "Syncing..." : "Sync Now"}
+            </button>
+          )}
+        </div>
+      )}
+      {failedItems.map((item) => (
+        <SyncConflict key={item.id} item={item} token={token} />
+      ))}
+    </div>
+  );
+};
+
+// A queued change the server rejected: edit its fields and retry, or discard it
+const SyncConflict = ({ item, token }) => {
+  const [data, setData] = useState(item.data || {});
+
+  return (
+    <div className="p-3 rounded-lg shadow-md bg-red-100 text-red-800">
+      <p className="font-semibold mb-2">
+        Could not sync {item.method} {item.endpoint}: {item.error}
+      </p>
+      {item.data && (
+        <div className="flex flex-wrap gap-3 mb-2">
+          {Object.keys(item.data).map((field) => (
+            <label key={field} className="text-sm">
+              {field}
+              <input
+                type="text"
+                value={data[field] ?? ""}
+                onChange={(e) => setData({ ...data, [field]: e.target.value })}
+                className="ml-2 w-32 px-2 py-1 text-black border border-gray-300 rounded-lg bg-white"
+              />
+            </label>
+          ))}
+        </div>
+      )}
+      <div className="flex space-x-2">
+        <button
+          onClick={() => retryQueueItem(item.id, item.data && data, token)}
+          className="px-4 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
+        >
+          Retry
+        </button>
+        <button
+          onClick={() => discardQueueItem(item.id)}
+          className="px-4 py-1 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+        >
+          Discard Change
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// --- Form Errors ---
+
+// Inline validation message under a form field; the field points to it with aria-describedby
+const FieldError = ({ id, error }) =>
+  error ? (
+    <p id={id} className="text-sm text-red-600 mt-1">
+      {error}
+    </p>
+  ) : null;
+
+const getFieldBorder = (error) =>
+  error ? "border-red-500" : "border-gray-300";
+
+// Data kept in localStorage (see storage.js) isn't shared, so say so inside a household
+const LocalDataNote = ({ what }) => {
+  const household = useActiveHousehold();
+  if (!household) {
+    return null;
+  }
+  return (
+    <p className="mb-4 text-xs text-gray-500">
+      {what} are saved in this browser only; other members of {household.name}{" "}
+      don't see them.
+    </p>
+  );
+};
+
 // --- Authentication Forms ---
 
 const AuthCard = ({ title, children }) => (
@@ -271,21 +811,42 @@ const AuthCard = ({ title, children }) => (
   </div>
 );
 
-const AuthInput = ({ label, type, value, onChange, placeholder }) => (
-  <div className="mb-4">
-    <label className="block text-gray-700 text-sm font-semibold mb-2">
-      {label}
-    </label>
-    <input
-      type={type}
-      value={value}
-      onChange={(e) => onChange(e.target.value)}
-      placeholder={placeholder}
-      className="w-full px-4 py-2 text-black rounded-lg"
-      required
-    />
-  </div>
-);
+const AuthInput = ({
+  label,
+  type,
+  value,
+  onChange,
+  placeholder,
+  error,
+  readOnly = false,
+}) => {
+  const id = `auth${label}`;
+  return (
+    <div className="mb-4">
+      <label
+        htmlFor={id}
+        className="block text-gray-700 text-sm font-semibold mb-2"
+      >
+        {label}
+      </label>
+      <input
+        type={type}
+        id={id}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={placeholder}
+        readOnly={readOnly}
+        className={`w-full px-4 py-2 text-black rounded-lg ${
+          error ? "border border-red-500" : ""
+        } ${readOnly ? "bg-gray-100" : ""}`}
+        aria-invalid={!!error}
+        aria-describedby={`${id}Error`}
+        required
+      />
+      <FieldError id={`${id}Error`} error={error} />
+    </div>
+  );
+};
 
 const AuthButton = ({ children, onClick, className = "" }) => (
   <button
@@ -296,6 +857,58 @@ const AuthButton = ({ children, onClick, className = "" }) => (
   </button>
 );
 
+// Shown over the app when the session lapses, so the current page and any
+// unsaved form input survive while the user logs in again. The username is fixed, so the
+// session can't switch to another account underneath the open page.
+const ReloginModal = ({ username, onLogin, onLogout }) => {
+  const [password, setPassword] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onLogin(username, password);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/50 flex items-center justify-center p-4">
+      <AuthCard title="Session Expired">
+        <p className="text-center text-gray-600 mb-6">
+          Please log in again to continue where you left off.
+        </p>
+        <form onSubmit={handleSubmit}>
+          <AuthInput
+            label="Username"
+            type="text"
+            value={username}
+            onChange={() => {}}
+            readOnly
+          />
+          <AuthInput
+            label="Password"
+            type="password"
+            value={password}
+            onChange={setPassword}
+            placeholder="Enter your password"
+          />
+          <AuthButton
+            onClick={handleSubmit}
+            className="bg-blue-600 hover:bg-blue-700"
+          >
+            <LogIn size={20} className="inline-block mr-2" /> Login
+          </AuthButton>
+        </form>
+        <p className="text-center text-gray-600 mt-6">
+          <button
+            onClick={onLogout}
+            className="text-red-600 hover:underline font-semibold"
+          >
+            Log out instead
+          </button>
+        </p>
+      </AuthCard>
+    </div>
+  );
+};
+
 const LoginForm = ({ onLogin, onSwitchToRegister }) => {
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
@@ -345,28 +958,42 @@ const LoginForm = ({ onLogin, onSwitchToRegister }) => {
 const RegisterForm = ({ onRegister, onSwitchToLogin }) => {
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
+  const [errors, setErrors] = useState({});
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    onRegister(username, password);
+    const formErrors = validateRegistration({ username, password });
+    setErrors(formErrors);
+    if (hasErrors(formErrors)) {
+      return;
+    }
+    setErrors((await onRegister(username.trim(), password)) || {});
   };
 
   return (
     <AuthCard title="Register">
-      <form onSubmit={handleSubmit}>
+      <form onSubmit={handleSubmit} noValidate>
         <AuthInput
           label="Username"
           type="text"
           value={username}
-          onChange={setUsername}
+          onChange={(value) => {
+            setUsername(value);
+            setErrors((current) => withoutError(current, "username"));
+          }}
           placeholder="Choose a username"
+          error={errors.username}
         />
         <AuthInput
           label="Password"
           type="password"
           value={password}
-          onChange={setPassword}
-          placeholder="Choose a password (min 6 chars)"
+          onChange={(value) => {
+            setPassword(value);
+            setErrors((current) => withoutError(current, "password"));
+          }}
+          placeholder="Min 6 characters, letters and numbers"
+          error={errors.password}
         />
         <AuthButton
           onClick={handleSubmit}
@@ -388,44 +1015,202 @@ const RegisterForm = ({ onRegister, onSwitchToLogin }) => {
   );
 };
 
+// --- Export ---
+
+const BUDGET_EXPORT_COLUMNS = [
+  { key: "id", label: "ID" },
+  { key: "name", label: "Name" },
+  { key: "budget_month", label: "Month" },
+  { key: "budget_year", label: "Year" },
+  { key: "limit", label: "Limit" },
+  { key: "total_realized", label: "Realized" },
+];
+
+const REALIZATION_EXPORT_COLUMNS = [
+  { key: "id", label: "ID" },
+  { key: "expense_date", label: "Date" },
+  { key: "name", label: "Description" },
+  { key: "budget_id", label: "Budget ID" },
+  { key: "budget_name", label: "Budget" },
+  { key: "amount", label: "Amount" },
+];
+
+const ExportButtons = ({ onExportCsv, onExportJson, disabled }) => (
+  <>
+    <button
+      onClick={onExportCsv}
+      disabled={disabled}
+      className="flex items-center px-5 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+    >
+      <Download size={20} className="mr-2" /> CSV
+    </button>
+    <button
+      onClick={onExportJson}
+      disabled={disabled}
+      className="flex items-center px-5 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+    >
+      <Download size={20} className="mr-2" /> JSON
+    </button>
+  </>
+);
+
+// Undo a recorded change. Undoing a budget's creation deletes it with every realization
+// booked on it since, so those are listed for confirmation first. Resolves to false if
+// cancelled.
+const confirmAndUndo = async (entry, token) => {
+  let related = [];
+  if (entry.entity === "budget" && entry.action === "create") {
+    const budget = entry.after;
+    related = await getBudgetRealizations(budget, token);
+    const confirmed = await confirmAction({
+      title: "Undo Budget Creation",
+      message: `Delete "${budget.name}" for ${budget.budget_month}/${
+        budget.budget_year
+      }?${
+        related.length > 0
+          ? ` Its ${related.length} realizations (${formatAmount(
+              related.reduce((sum, r) => sum + Number(r.amount), 0)
+            )}) will also be deleted.`
+          : ""
+      }`,
+      details: related.map(
+        (r) => `${r.expense_date} ${r.name}: ${formatAmount(r.amount)}`
+      ),
+      confirmLabel: "Undo",
+      danger: true,
+    });
+    if (!confirmed) {
+      return false;
+    }
+  }
+  await undoActivity(entry, token, related);
+  return true;
+};
+
+// "Undo" action for a success toast that reverses the recorded change
+const getUndoAction = (entry, token, showMessage, onUndone) => ({
+  label: "Undo",
+  onClick: async () => {
+    try {
+      if (await confirmAndUndo(entry, token)) {
+        showMessage("Change undone.", "success");
+        onUndone();
+      }
+    } catch (error) {
+      showMessage(error.message || "Failed to undo change.", "error");
+    }
+  },
+});
+
 // --- Budget Section ---
 
 const BudgetSection = ({ token, showMessage }) => {
-  const [budgets, setBudgets] = useState([]);
-  const [isFormOpen, setIsFormOpen] = useState(false);
-  const [editingBudget, setEditingBudget] = useState(null); // null for new, object for edit
+  const [fetchedBudgets, setBudgets] = useState([]);
+  const [budgetsLoaded, setBudgetsLoaded] = useState(false);
   const [loading, setLoading] = useState(false);
+  const { queue, syncVersion } = useOfflineState();
+  const canEdit = canEditHousehold(useActiveHousehold());
+  const budgets = applyPendingChanges(fetchedBudgets, queue, "/budgets/"); // Includes changes awaiting sync
+  const [isGrouped, setIsGrouped] = useState(false); // One row per category and month
+  const [periodFilter, setPeriodFilter] = useState(""); // year * 100 + month, "" for all months
+
+  // The open panel is part of the URL: /budgets/new, /budgets/:id/edit or /budgets/copy
+  const { pathname } = useLocation();
+  const editMatch = matchPath("/budgets/:id/edit", pathname);
+  const editingBudget = editMatch
+    ? budgets.find((budget) => String(budget.id) === editMatch.id) || null
+    : null; // null for new, object for edit
+  const isFormOpen =
+    canEdit && (pathname === "/budgets/new" || !!editingBudget);
+  const isCopyOpen = canEdit && pathname === "/budgets/copy";
+  const isPlanOpen = canEdit && pathname === "/budgets/plan";
+
+  // Viewers can't change anything, so a link to a form (e.g. a bookmark) opens the list
+  useEffect(() => {
+    if (!canEdit && pathname !== "/budgets") {
+      showMessage(VIEW_ONLY_MESSAGE, "error");
+      navigate("/budgets", { replace: true });
+    }
+  }, [canEdit, pathname, showMessage]);
 
   const fetchBudgets = useCallback(async () => {
     setLoading(true);
     try {
-      const data = await apiCall("/budgets/", "GET", null, token);
+      const data = await cachedGet("/budgets/", token);
       setBudgets(data);
     } catch (error) {
       showMessage(error.message || "Failed to fetch budgets.", "error");
     } finally {
       setLoading(false);
+      setBudgetsLoaded(true);
     }
   }, [token, showMessage]);
 
+  // Refetch after queued offline changes have synced
   useEffect(() => {
     fetchBudgets();
-  }, [fetchBudgets]);
+  }, [fetchBudgets, syncVersion]);
+
+  // A deep link to a budget that doesn't exist falls back to the list
+  useEffect(() => {
+    if (editMatch && budgetsLoaded && !editingBudget) {
+      showMessage("Budget not found.", "error");
+      navigate("/budgets", { replace: true });
+    }
+  }, [editMatch, budgetsLoaded, editingBudget, showMessage]);
 
-  const handleSaveBudget = async (budgetData) => {
+  // Resolves to the server's field errors when the form should show them inline.
+  // rolling is null unless it was changed in the form.
+  const handleSaveBudget = async (budgetData, rolling, category) => {
     setLoading(true);
     try {
-      if (editingBudget) {
-        await apiCall(`/budgets/${editingBudget.id}`, "PUT", budgetData, token);
-        showMessage("Budget updated successfully!", "success");
+      const meta = rolling === null ? undefined : { rolling };
+      const result = editingBudget
+        ? await queuedMutation(
+            `/budgets/${editingBudget.id}`,
+            "PUT",
+            budgetData,
+            token,
+            meta
+          )
+        : await queuedMutation("/budgets/", "POST", budgetData, token, meta);
+      // A budget created offline gets its setting once it has synced and has an id
+      const budgetId = editingBudget?.id ?? result?.id;
+      if (rolling !== null && budgetId !== undefined) {
+        setBudgetRolling(budgetId, rolling);
+      }
+      setBudgetCategory(budgetData.name, category);
+      if (result?.queued) {
+        showMessage(
+          "Saved offline. The budget will sync when back online.",
+          "success"
+        );
       } else {
-        await apiCall("/budgets/", "POST", budgetData, token);
-        showMessage("Budget created successfully!", "success");
+        const entry = recordActivity(
+          editingBudget
+            ? {
+                entity: "budget",
+                action: "update",
+                before: editingBudget,
+                after: { ...editingBudget, ...budgetData },
+              }
+            : { entity: "budget", action: "create", after: result }
+        );
+        showMessage(
+          editingBudget
+            ? "Budget updated successfully!"
+            : "Budget created successfully!",
+          "success",
+          getUndoAction(entry, token, showMessage, fetchBudgets)
+        );
       }
-      setIsFormOpen(false);
-      setEditingBudget(null);
+      navigate("/budgets");
       fetchBudgets();
     } catch (error) {
+      const fieldErrors = getServerFieldErrors(error, BUDGET_FIELDS);
+      if (fieldErrors) {
+        return fieldErrors;
+      }
       showMessage(error.message || "Failed to save budget.", "error");
     } finally {
       setLoading(false);
@@ -433,150 +1218,552 @@ const BudgetSection = ({ token, showMessage }) => {
   };
 
   const handleDeleteBudget = async (id) => {
-    if (
-      !window.confirm(
-        "Are you sure you want to delete this budget? All associated realizations will also be deleted."
-      )
-    ) {
+    const budget = budgets.find((b) => b.id === id);
+    setLoading(true);
+    // The realizations that go with the budget are listed in the confirmation and kept so
+    // undo can bring them back too. Offline they can't be looked up (null).
+    const related = budget
+      ? await getBudgetRealizations(budget, token).catch(() => null)
+      : [];
+    setLoading(false);
+    const confirmed = await confirmAction({
+      title: "Delete Budget",
+      message: budget
+        ? `Delete "${budget.name}" for ${budget.budget_month}/${
+            budget.budget_year
+          }? ${
+            related === null
+              ? "All of its realizations will also be deleted."
+              : `Its ${related.length} realizations (${formatAmount(
+                  related.reduce((sum, r) => sum + Number(r.amount), 0)
+                )}) will also be deleted.`
+          }`
+        : "Are you sure you want to delete this budget? All associated realizations will also be deleted.",
+      details: (related || []).map(
+        (r) => `${r.expense_date} ${r.name}: ${formatAmount(r.amount)}`
+      ),
+    });
+    if (!confirmed) {
       return;
     }
     setLoading(true);
     try {
-      await apiCall(`/budgets/${id}`, "DELETE", null, token);
-      showMessage("Budget deleted successfully!", "success");
-      fetchBudgets();
-    } catch (error) {
-      showMessage(error.message || "Failed to delete budget.", "error");
-    } finally {
-      setLoading(false);
-    }
+      const result = await queuedMutation(
+        `/budgets/${id}`,
+        "DELETE",
+        null,
+        token
+      );
+      if (result?.queued) {
+        showMessage(
+          "Deleted offline. The change will sync when back online.",
+          "success"
+        );
+      } else {
+        const entry = recordActivity({
+          entity: "budget",
+          action: "delete",
+          before: budget,
+          related: related || [],
+        });
+        showMessage(
+          "Budget deleted successfully!",
+          "success",
+          getUndoAction(entry, token, showMessage, fetchBudgets)
+        );
+      }
+      fetchBudgets();
+    } catch (error) {
+      showMessage(error.message || "Failed to delete budget.", "error");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Create the previewed budgets one by one so a single failure doesn't abort the rest
+  const handleCopyBudgets = async (budgetRows) => {
+    setLoading(true);
+    const failures = [];
+    let queued = 0;
+    for (const budgetData of budgetRows) {
+      try {
+        const created = await queuedMutation(
+          "/budgets/",
+          "POST",
+          budgetData,
+          token
+        );
+        if (created?.queued) {
+          queued++;
+          continue;
+        }
+        recordActivity({ entity: "budget", action: "create", after: created });
+      } catch (error) {
+        failures.push(`${budgetData.name}: ${error.message}`);
+      }
+    }
+    setLoading(false);
+    const created = budgetRows.length - failures.length;
+    if (failures.length > 0) {
+      showMessage(
+        `Copied ${created} of ${
+          budgetRows.length
+        } budgets. Failed: ${failures.join("; ")}`,
+        "error"
+      );
+    } else {
+      showMessage(
+        queued > 0
+          ? `Copied ${created} budgets, ${queued} of them offline. They will sync when back online.`
+          : `Copied ${created} budgets successfully!`,
+        "success"
+      );
+      navigate("/budgets");
+    }
+    fetchBudgets();
+  };
+
+  // Send the planner's creates and updates one by one, reporting any that fail
+  const handleSavePlan = async (changes) => {
+    setLoading(true);
+    const failures = [];
+    let queued = 0;
+    for (const change of changes) {
+      try {
+        const result = await queuedMutation(
+          change.endpoint,
+          change.method,
+          change.data,
+          token
+        );
+        if (result?.queued) {
+          queued++;
+          continue;
+        }
+        recordActivity(
+          change.method === "POST"
+            ? { entity: "budget", action: "create", after: result }
+            : {
+                entity: "budget",
+                action: "update",
+                before: change.before,
+                after: { ...change.before, ...change.data },
+              }
+        );
+      } catch (error) {
+        failures.push(
+          `${change.data.name} ${change.data.budget_month}/${change.data.budget_year}: ${error.message}`
+        );
+      }
+    }
+    setLoading(false);
+    if (failures.length > 0) {
+      showMessage(
+        `Saved ${changes.length - failures.length} of ${
+          changes.length
+        } budgets. Failed: ${failures.join("; ")}`,
+        "error"
+      );
+    } else {
+      showMessage(
+        queued > 0
+          ? `Saved ${changes.length} budgets from the plan, ${queued} of them offline. They will sync when back online.`
+          : `Saved ${changes.length} budgets from the plan!`,
+        "success"
+      );
+      navigate("/budgets");
+    }
+    fetchBudgets();
   };
 
   const handleEditClick = (budget) => {
-    setEditingBudget(budget);
-    setIsFormOpen(true);
+    navigate(`/budgets/${budget.id}/edit`);
   };
 
   const handleAddClick = () => {
-    setEditingBudget(null);
-    setIsFormOpen(true);
+    navigate("/budgets/new");
+  };
+
+  const handleCopyClick = () => {
+    navigate("/budgets/copy");
   };
 
+  const isPanelOpen = isFormOpen || isCopyOpen || isPlanOpen || !!editMatch;
+
+  const categories = loadBudgetCategories();
+  const budgetPeriods = [
+    ...new Set(budgets.map((b) => b.budget_year * 100 + b.budget_month)),
+  ].sort((a, b) => b - a);
+  const budgetRows = applyRollover(budgets).filter(
+    (b) =>
+      !periodFilter ||
+      b.budget_year * 100 + b.budget_month === parseInt(periodFilter)
+  );
+  const getRemaining = (b) =>
+    Math.round(
+      ((Number(b.effectiveLimit) || 0) - (Number(b.total_realized) || 0)) * 100
+    ) / 100;
+
+  // Limits and spending of different months don't add up to anything meaningful,
+  // so the footer only totals a single month
+  const spansMonths = (rows) =>
+    new Set(rows.map((b) => b.budget_year * 100 + b.budget_month)).size > 1;
+  const mixedMonthsTotal = (
+    <span className="text-gray-400" title="Pick a month to see totals">
+      -
+    </span>
+  );
+  const getVisibleMonthTotal = (getValue) => (rows) =>
+    spansMonths(rows)
+      ? mixedMonthsTotal
+      : formatAmount(
+          Math.round(rows.reduce((sum, b) => sum + getValue(b), 0) * 100) / 100
+        );
+
+  const budgetColumns = [
+    {
+      key: "name",
+      label: "Name",
+      searchable: true,
+      render: (budget) =>
+        budget.isCategory ? (
+          <span className="font-semibold">
+            {budget.name}
+            <span className="ml-2 text-xs font-normal text-gray-500">
+              {budget.lines.length}{" "}
+              {budget.lines.length === 1 ? "budget" : "budgets"}
+            </span>
+          </span>
+        ) : (
+          <>
+            {budget.name}
+            {budget.rolling && (
+              <span
+                className="ml-2 px-2 py-0.5 rounded-full bg-teal-100 text-teal-800 text-xs"
+                title="Surplus or deficit carries into next month"
+              >
+                Rolling
+              </span>
+            )}
+            <SyncBadge row={budget} />
+          </>
+        ),
+    },
+    {
+      key: "category",
+      label: "Category",
+      searchable: true,
+      value: (b) => getBudgetCategory(b.name, categories),
+    },
+    {
+      key: "limit",
+      label: "Limit",
+      value: (b) => Number(b.limit),
+      format: formatAmount,
+      total: getVisibleMonthTotal((b) => Number(b.limit)),
+    },
+    {
+      key: "carryOver",
+      label: "Carried Over",
+      render: (b) =>
+        b.carryOver === 0 ? (
+          <span className="text-gray-400">-</span>
+        ) : (
+          <span className={b.carryOver < 0 ? "text-red-700" : "text-green-700"}>
+            {b.carryOver > 0 ? "+" : ""}
+            {formatAmount(b.carryOver)}
+          </span>
+        ),
+      format: formatAmount,
+      total: getVisibleMonthTotal((b) => b.carryOver),
+    },
+    {
+      key: "total_realized",
+      label: "Realized",
+      value: (b) => Number(b.total_realized) || 0,
+      format: formatAmount,
+      total: getVisibleMonthTotal((b) => Number(b.total_realized) || 0),
+    },
+    {
+      key: "remaining",
+      label: "Remaining",
+      value: getRemaining,
+      render: (b) => (
+        <span className={getRemaining(b) < 0 ? "text-red-700" : ""}>
+          {formatAmount(getRemaining(b))}
+        </span>
+      ),
+      format: formatAmount,
+      total: getVisibleMonthTotal(getRemaining),
+    },
+    {
+      key: "percent_used",
+      label: "Used",
+      value: (b) =>
+        getBudgetProgress(b.effectiveLimit, b.total_realized).percentUsed,
+      render: (b) => {
+        const progress = getBudgetProgress(b.effectiveLimit, b.total_realized);
+        return (
+          <span
+            className={`font-semibold ${PROGRESS_STYLES[progress.status].text}`}
+          >
+            {progress.percentUsed.toFixed(0)}%
+          </span>
+        );
+      },
+      total: (rows) => {
+        if (spansMonths(rows)) {
+          return mixedMonthsTotal;
+        }
+        const progress = getBudgetProgress(
+          rows.reduce((sum, b) => sum + (Number(b.effectiveLimit) || 0), 0),
+          rows.reduce((sum, b) => sum + (Number(b.total_realized) || 0), 0)
+        );
+        return `${progress.percentUsed.toFixed(0)}%`;
+      },
+    },
+    {
+      key: "period",
+      label: "Month/Year",
+      value: (b) => b.budget_year * 100 + b.budget_month,
+      render: (b) => `${b.budget_month}/${b.budget_year}`,
+    },
+    {
+      key: "actions",
+      label: "Actions",
+      sortable: false,
+      render: (budget) =>
+        budget.isCategory ? null : (
+          <div
+            className={`flex space-x-2 ${
+              budget.pendingDelete ? "invisible" : ""
+            }`}
+          >
+            <button
+              onClick={() => handleEditClick(budget)}
+              className="text-blue-600 hover:text-blue-900 transition duration-150 ease-in-out"
+              title="Edit Budget"
+            >
+              <Edit size={18} />
+            </button>
+            <button
+              onClick={() => handleDeleteBudget(budget.id)}
+              className="text-red-600 hover:text-red-900 transition duration-150 ease-in-out"
+              title="Delete Budget"
+            >
+              <Trash2 size={18} />
+            </button>
+          </div>
+        ),
+    },
+  ];
+
   return (
     <div className="bg-white p-6 rounded-xl shadow-lg">
       <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
         <BarChart size={24} className="mr-2" /> Your Budgets
       </h2>
 
-      <button
-        onClick={handleAddClick}
-        className="mb-6 flex items-center px-5 py-2 bg-green-500 hover:bg-green-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
-      >
-        <Plus size={20} className="mr-2" /> Add New Budget
-      </button>
+      <LocalDataNote what="Categories and roll-over settings" />
+
+      <div className="mb-6 flex space-x-3">
+        {canEdit && (
+          <>
+            <button
+              onClick={handleAddClick}
+              className="flex items-center px-5 py-2 bg-green-500 hover:bg-green-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+            >
+              <Plus size={20} className="mr-2" /> Add New Budget
+            </button>
+            <button
+              onClick={handleCopyClick}
+              className="flex items-center px-5 py-2 bg-purple-500 hover:bg-purple-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+            >
+              <Copy size={20} className="mr-2" /> Copy Budgets from Previous
+              Month
+            </button>
+            <button
+              onClick={() => navigate("/budgets/plan")}
+              className="flex items-center px-5 py-2 bg-teal-500 hover:bg-teal-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+            >
+              <CalendarDays size={20} className="mr-2" /> Plan Year
+            </button>
+          </>
+        )}
+        <ExportButtons
+          onExportCsv={() =>
+            downloadCsv("budgets", budgetRows, BUDGET_EXPORT_COLUMNS)
+          }
+          onExportJson={() => downloadJson("budgets", budgetRows)}
+          disabled={budgetRows.length === 0}
+        />
+      </div>
 
       {isFormOpen && (
         <BudgetForm
+          key={editingBudget?.id ?? "new"}
           onSave={handleSaveBudget}
-          onCancel={() => setIsFormOpen(false)}
+          onCancel={() => navigate("/budgets")}
           initialData={editingBudget}
+          budgets={budgets}
           loading={loading}
         />
       )}
 
-      {loading && !isFormOpen && (
+      {editMatch && !editingBudget && (
+        <p className="text-blue-600 text-center py-4">Loading budget...</p>
+      )}
+
+      {isPlanOpen && budgetsLoaded && (
+        <BudgetPlanner
+          budgets={budgets}
+          onSave={handleSavePlan}
+          onCancel={() => navigate("/budgets")}
+          loading={loading}
+        />
+      )}
+
+      {isCopyOpen && (
+        <CopyBudgetsForm
+          budgets={budgets}
+          onCopy={handleCopyBudgets}
+          onCancel={() => navigate("/budgets")}
+          loading={loading}
+        />
+      )}
+
+      {loading && !isPanelOpen && (
         <p className="text-blue-600 text-center py-4">Loading budgets...</p>
       )}
 
-      {!loading && budgets.length === 0 && !isFormOpen && (
+      {!loading && budgets.length === 0 && !isPanelOpen && (
         <p className="text-gray-600 text-center py-4">
           No budgets found. Add one to get started!
         </p>
       )}
 
-      {!isFormOpen && budgets.length > 0 && (
-        <div className="overflow-x-auto">
-          <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-md">
-            <thead className="bg-gray-100 border-b border-gray-200">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
-                  Name
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
-                  Limit
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
-                  Realized
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
-                  Month/Year
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
-                  Actions
-                </th>
-              </tr>
-            </thead>
-            <tbody className="divide-y divide-gray-200">
-              {budgets.map((budget) => (
-                <tr key={budget.id} className="hover:bg-gray-50">
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                    {budget.name}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                    {budget.limit}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                    {budget.total_realized}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                    {budget.budget_month}/{budget.budget_year}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                    <div className="flex space-x-2">
-                      <button
-                        onClick={() => handleEditClick(budget)}
-                        className="text-blue-600 hover:text-blue-900 transition duration-150 ease-in-out"
-                        title="Edit Budget"
-                      >
-                        <Edit size={18} />
-                      </button>
-                      <button
-                        onClick={() => handleDeleteBudget(budget.id)}
-                        className="text-red-600 hover:text-red-900 transition duration-150 ease-in-out"
-                        title="Delete Budget"
-                      >
-                        <Trash2 size={18} />
-                      </button>
-                    </div>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
+      {!isPanelOpen && budgets.length > 0 && (
+        <>
+          <div className="mb-4 flex items-center space-x-6 text-sm text-gray-700">
+            <label className="flex items-center">
+              Month:
+              <select
+                value={periodFilter}
+                onChange={(e) => setPeriodFilter(e.target.value)}
+                className="ml-2 px-3 py-1 text-black border border-gray-300 rounded-lg"
+              >
+                <option value="">All months</option>
+                {budgetPeriods.map((period) => (
+                  <option key={period} value={period}>
+                    {period % 100}/{Math.floor(period / 100)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={isGrouped}
+                onChange={(e) => setIsGrouped(e.target.checked)}
+                className="mr-2"
+              />
+              Group by category, with subtotals per month
+            </label>
+          </div>
+          <DataTable
+            key={isGrouped ? "grouped" : "flat"}
+            rows={
+              isGrouped
+                ? groupBudgetsByCategory(budgetRows, categories)
+                : budgetRows
+            }
+            columns={budgetColumns.filter(
+              (column) =>
+                (canEdit || column.key !== "actions") &&
+                (!isGrouped || column.key !== "category")
+            )}
+            defaultSort={{ key: "period", direction: "desc" }}
+            searchPlaceholder={
+              isGrouped
+                ? "Search categories by name..."
+                : "Search budgets by name or category..."
+            }
+            rowClassName={(budget) =>
+              budget.pendingDelete ? "line-through opacity-60" : ""
+            }
+            emptyMessage="No budgets match your search."
+            getSubRows={(row) => row.lines || null}
+          />
+        </>
       )}
     </div>
   );
 };
 
-const BudgetForm = ({ onSave, onCancel, initialData, loading }) => {
+const BudgetForm = ({ onSave, onCancel, initialData, budgets, loading }) => {
   const [name, setName] = useState(initialData?.name || "");
-  const [limit, setLimit] = useState(initialData?.limit || "");
+  const [limit, setLimit] = useState(initialData?.limit ?? "");
   const [budgetMonth, setBudgetMonth] = useState(
     initialData?.budget_month || new Date().getMonth() + 1
   );
   const [budgetYear, setBudgetYear] = useState(
     initialData?.budget_year || new Date().getFullYear()
   );
+  const [rollingChoice, setRollingChoice] = useState(null); // null until changed: follow the budget's setting
+  const rolling =
+    rollingChoice ??
+    isBudgetRolling(
+      {
+        ...initialData,
+        name: name.trim(),
+        budget_month: parseInt(budgetMonth),
+        budget_year: parseInt(budgetYear),
+      },
+      budgets
+    );
+  const [category, setCategory] = useState(() =>
+    getBudgetCategory(initialData?.name)
+  );
+  const [errors, setErrors] = useState({});
 
-  const handleSubmit = (e) => {
+  // Income not yet covered by a budget in the budget's month, counting this limit
+  const incomeEntries = loadIncome();
+  const monthIncome = getMonthlyIncome(
+    incomeEntries,
+    parseInt(budgetYear),
+    parseInt(budgetMonth)
+  );
+  const leftToBudget = getLeftToBudget(
+    incomeEntries,
+    budgets,
+    parseInt(budgetYear),
+    parseInt(budgetMonth),
+    limit,
+    initialData?.id ?? null
+  );
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    onSave({
-      name,
-      limit: parseFloat(limit),
-      budget_month: parseInt(budgetMonth),
-      budget_year: parseInt(budgetYear),
-    });
+    const formErrors = validateBudget(
+      { name, limit, budget_month: budgetMonth, budget_year: budgetYear },
+      budgets,
+      initialData?.id ?? null
+    );
+    setErrors(formErrors);
+    if (hasErrors(formErrors)) {
+      return;
+    }
+    const serverErrors = await onSave(
+      {
+        name: name.trim(),
+        limit: parseFloat(limit),
+        budget_month: parseInt(budgetMonth),
+        budget_year: parseInt(budgetYear),
+      },
+      rollingChoice,
+      category
+    );
+    setErrors(serverErrors || {});
   };
 
   return (
@@ -587,63 +1774,172 @@ const BudgetForm = ({ onSave, onCancel, initialData, loading }) => {
       <form
         onSubmit={handleSubmit}
         className="grid grid-cols-1 md:grid-cols-2 gap-4"
+        noValidate
       >
         <div>
-          <label className="block text-gray-700 text-sm font-semibold mb-2">
+          <label
+            htmlFor="budgetName"
+            className="block text-gray-700 text-sm font-semibold mb-2"
+          >
             Budget Name
           </label>
           <input
             type="text"
+            id="budgetName"
             value={name}
-            onChange={(e) => setName(e.target.value)}
-            className="w-full px-4 py-2 border text-black border-gray-300 rounded-lg"
+            onChange={(e) => {
+              setName(e.target.value);
+              setErrors((current) => withoutError(current, "name"));
+            }}
+            className={`w-full px-4 py-2 border text-black rounded-lg ${getFieldBorder(
+              errors.name
+            )}`}
+            aria-invalid={!!errors.name}
+            aria-describedby="budgetNameError"
             required
           />
+          <FieldError id="budgetNameError" error={errors.name} />
         </div>
         <div>
-          <label className="block text-gray-700 text-sm font-semibold mb-2">
+          <label
+            htmlFor="budgetCategory"
+            className="block text-gray-700 text-sm font-semibold mb-2"
+          >
+            Category
+          </label>
+          <input
+            type="text"
+            id="budgetCategory"
+            list="budgetCategoryOptions"
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            placeholder="e.g., Housing, Food, Transport"
+            className="w-full px-4 py-2 border border-gray-300 text-black rounded-lg"
+          />
+          <datalist id="budgetCategoryOptions">
+            {getCategoryNames().map((name) => (
+              <option key={name} value={name} />
+            ))}
+          </datalist>
+          <p className="text-xs mt-1 text-gray-500">
+            Applies to this budget in every month. Leave empty for{" "}
+            {UNCATEGORIZED}.
+          </p>
+        </div>
+        <div>
+          <label
+            htmlFor="budgetLimit"
+            className="block text-gray-700 text-sm font-semibold mb-2"
+          >
             Limit Amount
           </label>
           <input
             type="number"
+            id="budgetLimit"
             step="0.01"
+            min="0"
             value={limit}
-            onChange={(e) => setLimit(e.target.value)}
-            className="w-full px-4 py-2 border text-black border-gray-300 rounded-lg"
+            onChange={(e) => {
+              setLimit(e.target.value);
+              setErrors((current) => withoutError(current, "limit"));
+            }}
+            className={`w-full px-4 py-2 border text-black rounded-lg ${getFieldBorder(
+              errors.limit
+            )}`}
+            aria-invalid={!!errors.limit}
+            aria-describedby="budgetLimitError budgetLeftToBudget"
             required
           />
+          <FieldError id="budgetLimitError" error={errors.limit} />
+          <p
+            id="budgetLeftToBudget"
+            className={`text-xs mt-1 ${
+              leftToBudget < 0 ? "text-red-700 font-semibold" : "text-gray-500"
+            }`}
+          >
+            {monthIncome === 0
+              ? `No income recorded for ${budgetMonth}/${budgetYear}.`
+              : leftToBudget < 0
+              ? `Over-allocated: budgets exceed ${budgetMonth}/${budgetYear} income by ${formatAmount(
+                  -leftToBudget
+                )}.`
+              : `Left to budget for ${budgetMonth}/${budgetYear}: ${formatAmount(
+                  leftToBudget
+                )}`}
+          </p>
         </div>
         {!initialData && (
           <>
             <div>
-              <label className="block text-gray-700 text-sm font-semibold mb-2">
+              <label
+                htmlFor="budgetMonth"
+                className="block text-gray-700 text-sm font-semibold mb-2"
+              >
                 Month
               </label>
               <input
                 type="number"
+                id="budgetMonth"
                 value={budgetMonth}
-                onChange={(e) => setBudgetMonth(e.target.value)}
+                onChange={(e) => {
+                  setBudgetMonth(e.target.value);
+                  setErrors((current) =>
+                    withoutError(withoutError(current, "budget_month"), "name")
+                  );
+                }}
                 min="1"
                 max="12"
-                className="w-full px-4 py-2 border text-black border-gray-300 rounded-lg"
+                className={`w-full px-4 py-2 border text-black rounded-lg ${getFieldBorder(
+                  errors.budget_month
+                )}`}
+                aria-invalid={!!errors.budget_month}
+                aria-describedby="budgetMonthError"
                 required
               />
+              <FieldError id="budgetMonthError" error={errors.budget_month} />
             </div>
             <div>
-              <label className="block text-gray-700 text-sm font-semibold mb-2">
+              <label
+                htmlFor="budgetYear"
+                className="block text-gray-700 text-sm font-semibold mb-2"
+              >
                 Year
               </label>
               <input
                 type="number"
+                id="budgetYear"
                 value={budgetYear}
-                onChange={(e) => setBudgetYear(e.target.value)}
-                min="2000"
-                className="w-full px-4 py-2 border text-black border-gray-300 rounded-lg"
+                onChange={(e) => {
+                  setBudgetYear(e.target.value);
+                  setErrors((current) =>
+                    withoutError(withoutError(current, "budget_year"), "name")
+                  );
+                }}
+                min={MIN_YEAR}
+                max={MAX_YEAR}
+                className={`w-full px-4 py-2 border text-black rounded-lg ${getFieldBorder(
+                  errors.budget_year
+                )}`}
+                aria-invalid={!!errors.budget_year}
+                aria-describedby="budgetYearError"
                 required
               />
+              <FieldError id="budgetYearError" error={errors.budget_year} />
             </div>
           </>
         )}
+        <div className="col-span-1 md:col-span-2">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={rolling}
+              onChange={(e) => setRollingChoice(e.target.checked)}
+              className="mr-2"
+            />
+            Roll over: carry this budget's surplus or deficit into next month's
+            budget of the same name, from this month onward
+          </label>
+        </div>
         <div className="col-span-1 md:col-span-2 flex justify-end space-x-3 mt-4">
           <button
             type="button"
@@ -670,396 +1966,5384 @@ const BudgetForm = ({ onSave, onCancel, initialData, loading }) => {
   );
 };
 
-// --- Realization Section ---
+// Step one month back or forward, wrapping across years
+const shiftMonth = (month, year, delta) => {
+  const date = new Date(year, month - 1 + delta, 1);
+  return { month: date.getMonth() + 1, year: date.getFullYear() };
+};
 
-const RealizationSection = ({ token, showMessage }) => {
-  const [realizations, setRealizations] = useState([]);
-  const [budgets, setBudgets] = useState([]); // To populate budget_id dropdown
-  const [isFormOpen, setIsFormOpen] = useState(false);
-  const [editingRealization, setEditingRealization] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [filterMonth, setFilterMonth] = useState("");
-  const [filterYear, setFilterYear] = useState("");
+// Yearly grid of budget limits: budget names as rows, months as columns
+const BudgetPlanner = ({ budgets, onSave, onCancel, loading }) => {
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [yearInput, setYearInput] = useState(String(year));
+  const [grid, setGrid] = useState(() =>
+    buildPlannerGrid(budgets, new Date().getFullYear())
+  );
+  const [newRowName, setNewRowName] = useState("");
+  const [fillTarget, setFillTarget] = useState(""); // Budget name, or "" for every row
+  const [fillMode, setFillMode] = useState(FILL_MODES[0].value);
+  const [fillPercent, setFillPercent] = useState("3");
+  const [templates, setTemplates] = useState(loadTemplates);
+  const [templateName, setTemplateName] = useState("");
+  const [selectedTemplate, setSelectedTemplate] = useState("");
+  const [templateMonth, setTemplateMonth] = useState(new Date().getMonth() + 1);
 
-  const fetchBudgetsForDropdown = useCallback(async () => {
-    try {
-      const data = await apiCall("/budgets/", "GET", null, token);
-      setBudgets(data);
-    } catch (error) {
-      showMessage(
-        error.message || "Failed to load budgets for dropdown.",
-        "error"
-      );
-    }
-  }, [token, showMessage]);
+  const names = Object.keys(grid).sort();
+  const changes = getPlannerChanges(budgets, grid, year);
+  const invalidCells = names.flatMap((name) =>
+    MONTHS.filter(
+      (month) =>
+        grid[name][month] !== undefined &&
+        grid[name][month] !== "" &&
+        validateAmount(grid[name][month]) !== undefined
+    ).map((month) => `${name}|${month}`)
+  );
+  const existingNames = new Set(
+    budgets
+      .filter((budget) => budget.budget_year === year)
+      .map((budget) => budget.name)
+  );
 
-  const fetchRealizations = useCallback(async () => {
-    setLoading(true);
-    try {
-      let endpoint = "/realizations/";
-      const params = new URLSearchParams();
-      if (filterMonth) {
-        params.append("month", filterMonth);
-      }
-      if (filterYear) {
-        params.append("year", filterYear);
-      }
-      if (params.toString()) {
-        endpoint += `?${params.toString()}`;
-      }
-      const data = await apiCall(endpoint, "GET", null, token);
-      setRealizations(data);
-    } catch (error) {
-      showMessage(error.message || "Failed to fetch realizations.", "error");
-    } finally {
-      setLoading(false);
+  // The grid switches once a complete year is entered; unsaved edits need confirming first
+  const handleYearChange = async (value) => {
+    setYearInput(value);
+    const nextYear = Number(value);
+    if (validateYear(nextYear) || nextYear === year) {
+      return;
     }
-  }, [token, showMessage, filterMonth, filterYear]);
-
-  useEffect(() => {
-    fetchBudgetsForDropdown();
-  }, [fetchBudgetsForDropdown]);
-
-  useEffect(() => {
-    fetchRealizations();
-  }, [fetchRealizations]);
-
-  const handleSaveRealization = async (realizationData) => {
-    setLoading(true);
-    try {
-      if (editingRealization) {
-        await apiCall(
-          `/realizations/${editingRealization.id}`,
-          "PUT",
-          realizationData,
-          token
-        );
-        showMessage("Realization updated successfully!", "success");
-      } else {
-        await apiCall("/realizations/", "POST", realizationData, token);
-        showMessage("Realization created successfully!", "success");
-      }
-      setIsFormOpen(false);
-      setEditingRealization(null);
-      fetchRealizations();
-    } catch (error) {
-      showMessage(error.message || "Failed to save realization.", "error");
-    } finally {
-      setLoading(false);
+    if (
+      changes.length > 0 &&
+      !(await confirmAction({
+        title: "Discard Changes",
+        message: `Discard ${changes.length} unsaved changes to the ${year} plan?`,
+        confirmLabel: "Discard",
+      }))
+    ) {
+      setYearInput(String(year));
+      return;
     }
+    setYear(nextYear);
+    setGrid(buildPlannerGrid(budgets, nextYear));
   };
 
-  const handleDeleteRealization = async (id) => {
-    if (!window.confirm("Are you sure you want to delete this realization?")) {
-      return;
-    }
-    setLoading(true);
-    try {
-      await apiCall(`/realizations/${id}`, "DELETE", null, token);
-      showMessage("Realization deleted successfully!", "success");
-      fetchRealizations();
-    } catch (error) {
-      showMessage(error.message || "Failed to delete realization.", "error");
-    } finally {
-      setLoading(false);
-    }
+  const updateCell = (name, month, value) => {
+    setGrid((current) => ({
+      ...current,
+      [name]: { ...current[name], [month]: value },
+    }));
   };
 
-  const handleEditClick = (realization) => {
-    setEditingRealization(realization);
-    setIsFormOpen(true);
+  const handleAddRow = (e) => {
+    e.preventDefault();
+    const name = newRowName.trim();
+    if (name && !grid[name]) {
+      setGrid((current) => ({ ...current, [name]: {} }));
+    }
+    setNewRowName("");
   };
 
-  const handleAddClick = () => {
-    setEditingRealization(null);
-    setIsFormOpen(true);
+  const handleRemoveRow = (name) => {
+    setGrid((current) => {
+      const next = { ...current };
+      delete next[name];
+      return next;
+    });
   };
 
-  return (
+  const handleFill = () => {
+    setGrid((current) =>
+      Object.fromEntries(
+        Object.entries(current).map(([name, row]) => [
+          name,
+          !fillTarget || fillTarget === name
+            ? fillRow(row, fillMode, fillMode === "same" ? 0 : fillPercent)
+            : row,
+        ])
+      )
+    );
+  };
+
+  const updateTemplates = (next) => {
+    saveTemplates(next);
+    setTemplates(next);
+  };
+
+  const handleSaveTemplate = (e) => {
+    e.preventDefault();
+    const template = getTemplateFromMonth(
+      templateName.trim(),
+      grid,
+      templateMonth
+    );
+    if (template.lines.length === 0) {
+      notify(
+        `${MONTH_NAMES[templateMonth - 1]} has no limits to save.`,
+        "warning"
+      );
+      return;
+    }
+    updateTemplates([
+      ...templates.filter((t) => t.name !== template.name),
+      template,
+    ]);
+    setSelectedTemplate(template.name);
+    setTemplateName("");
+    notify(`Template "${template.name}" saved.`, "success");
+  };
+
+  const handleApplyTemplate = () => {
+    const template = templates.find((t) => t.name === selectedTemplate);
+    if (template) {
+      setGrid((current) => applyTemplate(current, template, templateMonth));
+    }
+  };
+
+  const handleDeleteTemplate = async () => {
+    const confirmed = await confirmAction({
+      title: "Delete Template",
+      message: `Delete the template "${selectedTemplate}"?`,
+    });
+    if (confirmed) {
+      updateTemplates(templates.filter((t) => t.name !== selectedTemplate));
+      setSelectedTemplate("");
+    }
+  };
+
+  const smallInputClass =
+    "px-3 py-1 text-black border border-gray-300 rounded-lg";
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-xl shadow-inner mb-6 border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800">Plan the Year</h3>
+        <div className="flex items-center space-x-2">
+          <label htmlFor="plannerYear" className="text-sm text-gray-600">
+            Year:
+          </label>
+          <input
+            type="number"
+            id="plannerYear"
+            value={yearInput}
+            onChange={(e) => handleYearChange(e.target.value)}
+            min={MIN_YEAR}
+            max={MAX_YEAR}
+            className={`w-28 ${smallInputClass}`}
+          />
+        </div>
+      </div>
+
+      <div className="mb-4 grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="p-3 bg-white rounded-lg border border-gray-200 flex flex-wrap items-center gap-2">
+          <span className="text-sm font-semibold text-gray-700">Fill:</span>
+          <select
+            value={fillTarget}
+            onChange={(e) => setFillTarget(e.target.value)}
+            className={smallInputClass}
+            aria-label="Rows to fill"
+          >
+            <option value="">All rows</option>
+            {names.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+          <select
+            value={fillMode}
+            onChange={(e) => setFillMode(e.target.value)}
+            className={smallInputClass}
+            aria-label="Fill mode"
+          >
+            {FILL_MODES.map((mode) => (
+              <option key={mode.value} value={mode.value}>
+                {mode.label}
+              </option>
+            ))}
+          </select>
+          {fillMode !== "same" && (
+            <input
+              type="number"
+              step="0.1"
+              value={fillPercent}
+              onChange={(e) => setFillPercent(e.target.value)}
+              className={`w-20 ${smallInputClass}`}
+              aria-label="Growth percentage"
+            />
+          )}
+          {fillMode !== "same" && (
+            <span className="text-sm text-gray-600">%</span>
+          )}
+          <button
+            type="button"
+            onClick={handleFill}
+            className="px-4 py-1 bg-purple-500 hover:bg-purple-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
+            title="Fill from each row's first month"
+          >
+            Fill
+          </button>
+        </div>
+
+        <div className="p-3 bg-white rounded-lg border border-gray-200 flex flex-wrap items-center gap-2">
+          <span className="text-sm font-semibold text-gray-700">
+            Templates:
+          </span>
+          <select
+            value={templateMonth}
+            onChange={(e) => setTemplateMonth(parseInt(e.target.value))}
+            className={smallInputClass}
+            aria-label="Template month"
+          >
+            {MONTHS.map((month) => (
+              <option key={month} value={month}>
+                {MONTH_NAMES[month - 1]}
+              </option>
+            ))}
+          </select>
+          <select
+            value={selectedTemplate}
+            onChange={(e) => setSelectedTemplate(e.target.value)}
+            className={smallInputClass}
+            aria-label="Template"
+          >
+            <option value="">Select a template</option>
+            {templates.map((template) => (
+              <option key={template.name} value={template.name}>
+                {template.name}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={handleApplyTemplate}
+            disabled={!selectedTemplate}
+            className="px-4 py-1 bg-teal-500 hover:bg-teal-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out disabled:opacity-50"
+          >
+            Apply
+          </button>
+          {selectedTemplate && (
+            <button
+              type="button"
+              onClick={handleDeleteTemplate}
+              className="text-red-600 hover:text-red-900"
+              title="Delete Template"
+            >
+              <Trash2 size={18} />
+            </button>
+          )}
+          <form
+            onSubmit={handleSaveTemplate}
+            className="flex items-center gap-2"
+          >
+            <input
+              type="text"
+              value={templateName}
+              onChange={(e) => setTemplateName(e.target.value)}
+              placeholder="e.g., Lean month"
+              className={smallInputClass}
+              aria-label="Template name"
+              required
+            />
+            <button
+              type="submit"
+              className="px-4 py-1 bg-green-500 hover:bg-green-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
+              title="Save the selected month as a template"
+            >
+              Save Month as Template
+            </button>
+          </form>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto rounded-lg shadow-md">
+        <table className="min-w-full bg-white text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider sticky left-0 bg-gray-100">
+                Budget
+              </th>
+              {MONTHS.map((month) => (
+                <th
+                  key={month}
+                  className="px-2 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider"
+                >
+                  {MONTH_NAMES[month - 1].slice(0, 3)}
+                </th>
+              ))}
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                Total
+              </th>
+              <th className="px-2 py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {names.map((name) => (
+              <tr key={name}>
+                <td className="px-3 py-2 font-medium text-gray-800 whitespace-nowrap sticky left-0 bg-white">
+                  {name}
+                </td>
+                {MONTHS.map((month) => (
+                  <td key={month} className="px-1 py-1">
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={grid[name][month] ?? ""}
+                      onChange={(e) => updateCell(name, month, e.target.value)}
+                      className={`w-24 px-2 py-1 text-black border rounded ${getFieldBorder(
+                        invalidCells.includes(`${name}|${month}`)
+                      )}`}
+                      aria-label={`${name} limit for ${MONTH_NAMES[month - 1]}`}
+                      aria-invalid={invalidCells.includes(`${name}|${month}`)}
+                    />
+                  </td>
+                ))}
+                <td className="px-3 py-2 text-gray-700 whitespace-nowrap">
+                  {formatAmount(getRowTotal(grid[name]))}
+                </td>
+                <td className="px-2 py-2">
+                  {!existingNames.has(name) && (
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveRow(name)}
+                      className="text-red-600 hover:text-red-900"
+                      title="Remove Row"
+                    >
+                      <XCircle size={18} />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot className="bg-gray-100 font-semibold text-gray-800">
+            <tr>
+              <td className="px-3 py-2 sticky left-0 bg-gray-100">Total</td>
+              {MONTHS.map((month) => (
+                <td key={month} className="px-2 py-2 whitespace-nowrap">
+                  {formatAmount(getMonthTotal(grid, month))}
+                </td>
+              ))}
+              <td className="px-3 py-2 whitespace-nowrap">
+                {formatAmount(
+                  MONTHS.reduce(
+                    (sum, month) => sum + getMonthTotal(grid, month),
+                    0
+                  )
+                )}
+              </td>
+              <td />
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      <form onSubmit={handleAddRow} className="mt-3 flex items-center gap-2">
+        <input
+          type="text"
+          value={newRowName}
+          onChange={(e) => setNewRowName(e.target.value)}
+          placeholder="New budget name"
+          className={smallInputClass}
+          aria-label="New budget name"
+          required
+        />
+        <button
+          type="submit"
+          className="flex items-center px-4 py-1 bg-green-500 hover:bg-green-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
+        >
+          <Plus size={16} className="mr-1" /> Add Row
+        </button>
+      </form>
+
+      {invalidCells.length > 0 && (
+        <p className="mt-3 text-sm text-red-600">
+          Limits must be numbers that aren't negative. Fix the highlighted cells
+          to save.
+        </p>
+      )}
+
+      <div className="flex justify-end space-x-3 mt-4">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-5 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+          disabled={loading}
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => onSave(changes)}
+          className="px-5 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
+          disabled={loading || changes.length === 0 || invalidCells.length > 0}
+        >
+          {loading
+            ? "Saving..."
+            : changes.length === 0
+            ? "No Changes"
+            : `Save ${changes.length} Budget Changes`}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const CopyBudgetsForm = ({ budgets, onCopy, onCancel, loading }) => {
+  const today = new Date();
+  const previous = shiftMonth(today.getMonth() + 1, today.getFullYear(), -1);
+  const [sourceMonth, setSourceMonth] = useState(previous.month);
+  const [sourceYear, setSourceYear] = useState(previous.year);
+  const [targetMonth, setTargetMonth] = useState(today.getMonth() + 1);
+  const [targetYear, setTargetYear] = useState(today.getFullYear());
+  const [rowEdits, setRowEdits] = useState({}); // sourceId -> { limit?, include? }
+  const [errors, setErrors] = useState({});
+
+  const targetNames = new Set(
+    budgets
+      .filter(
+        (budget) =>
+          budget.budget_month === parseInt(targetMonth) &&
+          budget.budget_year === parseInt(targetYear)
+      )
+      .map((budget) => budget.name.trim().toLowerCase())
+  );
+  const rows = budgets
+    .filter(
+      (budget) =>
+        budget.budget_month === parseInt(sourceMonth) &&
+        budget.budget_year === parseInt(sourceYear)
+    )
+    .map((budget) => {
+      const exists = targetNames.has(budget.name.trim().toLowerCase());
+      return {
+        sourceId: budget.id,
+        name: budget.name,
+        limit: budget.limit,
+        exists,
+        include: !exists, // Skip names already present in the target month by default
+        ...rowEdits[budget.id],
+      };
+    });
+
+  const handleSourceChange = (month, year) => {
+    setSourceMonth(month);
+    setSourceYear(year);
+    setRowEdits({});
+    const next = shiftMonth(parseInt(month), parseInt(year), 1);
+    if (!isNaN(next.month) && !isNaN(next.year)) {
+      setTargetMonth(next.month);
+      setTargetYear(next.year);
+    }
+  };
+
+  const updateRow = (sourceId, changes) => {
+    setRowEdits((current) => ({
+      ...current,
+      [sourceId]: { ...current[sourceId], ...changes },
+    }));
+    setErrors((current) => withoutError(current, `limit-${sourceId}`));
+  };
+
+  const selectedRows = rows.filter((row) => row.include);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const formErrors = validateBudgetCopy(
+      selectedRows,
+      targetMonth,
+      targetYear
+    );
+    setErrors(formErrors);
+    if (hasErrors(formErrors)) {
+      return;
+    }
+    onCopy(
+      selectedRows.map((row) => ({
+        name: row.name,
+        limit: parseFloat(row.limit),
+        budget_month: parseInt(targetMonth),
+        budget_year: parseInt(targetYear),
+      }))
+    );
+  };
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-xl shadow-inner mb-6 border border-gray-200">
+      <h3 className="text-xl font-bold text-gray-800 mb-4">
+        Copy Budgets from Previous Month
+      </h3>
+      <form onSubmit={handleSubmit} noValidate>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <div>
+            <label className="block text-gray-700 text-sm font-semibold mb-2">
+              From Month
+            </label>
+            <input
+              type="number"
+              value={sourceMonth}
+              onChange={(e) => handleSourceChange(e.target.value, sourceYear)}
+              min="1"
+              max="12"
+              className="w-full px-4 py-2 border text-black border-gray-300 rounded-lg"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-gray-700 text-sm font-semibold mb-2">
+              From Year
+            </label>
+            <input
+              type="number"
+              value={sourceYear}
+              onChange={(e) => handleSourceChange(sourceMonth, e.target.value)}
+              min="2000"
+              className="w-full px-4 py-2 border text-black border-gray-300 rounded-lg"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-gray-700 text-sm font-semibold mb-2">
+              To Month
+            </label>
+            <input
+              type="number"
+              value={targetMonth}
+              onChange={(e) => {
+                setTargetMonth(e.target.value);
+                setErrors((current) => withoutError(current, "budget_month"));
+              }}
+              min="1"
+              max="12"
+              className={`w-full px-4 py-2 border text-black rounded-lg ${getFieldBorder(
+                errors.budget_month
+              )}`}
+              aria-invalid={!!errors.budget_month}
+              aria-describedby="copyTargetMonthError"
+              required
+            />
+            <FieldError id="copyTargetMonthError" error={errors.budget_month} />
+          </div>
+          <div>
+            <label className="block text-gray-700 text-sm font-semibold mb-2">
+              To Year
+            </label>
+            <input
+              type="number"
+              value={targetYear}
+              onChange={(e) => {
+                setTargetYear(e.target.value);
+                setErrors((current) => withoutError(current, "budget_year"));
+              }}
+              min="2000"
+              className={`w-full px-4 py-2 border text-black rounded-lg ${getFieldBorder(
+                errors.budget_year
+              )}`}
+              aria-invalid={!!errors.budget_year}
+              aria-describedby="copyTargetYearError"
+              required
+            />
+            <FieldError id="copyTargetYearError" error={errors.budget_year} />
+          </div>
+        </div>
+
+        {rows.length === 0 ? (
+          <p className="text-gray-600 text-center py-4">
+            No budgets found for {sourceMonth}/{sourceYear}.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-md">
+              <thead className="bg-gray-100 border-b border-gray-200">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                    Copy
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                    Limit
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rows.map((row) => (
+                  <tr
+                    key={row.sourceId}
+                    className={row.include ? "hover:bg-gray-50" : "opacity-50"}
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <input
+                        type="checkbox"
+                        checked={row.include}
+                        onChange={(e) =>
+                          updateRow(row.sourceId, { include: e.target.checked })
+                        }
+                      />
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {row.name}
+                      {row.exists && (
+                        <span className="ml-2 inline-flex items-center text-xs font-semibold text-amber-700">
+                          <AlertTriangle size={14} className="mr-1" /> Already
+                          exists in {targetMonth}/{targetYear}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                      <input
+                        type="number"
+                        step="0.01"
+                        value={row.limit}
+                        onChange={(e) =>
+                          updateRow(row.sourceId, { limit: e.target.value })
+                        }
+                        className={`w-32 px-3 py-1 text-black border rounded-lg ${getFieldBorder(
+                          errors[`limit-${row.sourceId}`]
+                        )}`}
+                        aria-label={`Limit for ${row.name}`}
+                        aria-invalid={!!errors[`limit-${row.sourceId}`]}
+                        aria-describedby={`copyLimitError-${row.sourceId}`}
+                        required={row.include}
+                        disabled={!row.include}
+                      />
+                      <FieldError
+                        id={`copyLimitError-${row.sourceId}`}
+                        error={errors[`limit-${row.sourceId}`]}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3 mt-4">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-5 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+            disabled={loading}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-5 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
+            disabled={loading || selectedRows.length === 0}
+          >
+            {loading
+              ? "Copying..."
+              : `Copy ${selectedRows.length} Budget${
+                  selectedRows.length === 1 ? "" : "s"
+                }`}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// --- Realization Section ---
+
+const RealizationSection = ({ token, showMessage }) => {
+  const [fetchedRealizations, setRealizations] = useState([]);
+  const [realizationsLoaded, setRealizationsLoaded] = useState(false);
+  const [budgets, setBudgets] = useState([]); // To populate budget_id dropdown
+  const [importHistory, setImportHistory] = useState([]); // All realizations, for duplicate checks
+  const [loading, setLoading] = useState(false);
+  const [filterMonth] = useQueryParam("month");
+  const [filterYear] = useQueryParam("year");
+  const [recurringRules, setRecurringRules] = useState(loadRecurringRules);
+  const { queue, syncVersion } = useOfflineState();
+  const household = useActiveHousehold();
+  const canEdit = canEditHousehold(household);
+
+  // Recurring bills are due up to the current calendar month, including months nobody reviewed
+  const today = new Date();
+  const dueOccurrences = getDueOccurrences(
+    recurringRules,
+    today.getFullYear(),
+    today.getMonth() + 1
+  );
+
+  const getBudgetName = (realization) =>
+    budgets.find((b) => String(b.id) === String(realization.budget_id))?.name ||
+    "N/A";
+
+  // Include changes awaiting sync; queued creates only when they match the filter
+  const loadedRealizations = applyPendingChanges(
+    fetchedRealizations,
+    queue,
+    "/realizations/",
+    (data) => {
+      const [year, month] = data.expense_date.split("-").map(Number);
+      return (
+        (!filterMonth || month === parseInt(filterMonth)) &&
+        (!filterYear || year === parseInt(filterYear))
+      );
+    }
+  );
+
+  // The open panel is part of the URL: /realizations/new, /realizations/:id/edit,
+  // /realizations/import or /realizations/recurring[/review]; the filter query string is carried along
+  const { pathname, search, query } = useLocation();
+
+  // Month/year are filtered by the backend, the rest of the query string is applied here
+  const realizations = filterRealizations(
+    loadedRealizations,
+    query,
+    getBudgetName,
+    loadBudgetCategories()
+  );
+
+  const updateFilters = (changes) => {
+    navigate(buildPath(pathname, { ...query, ...changes }), { replace: true });
+  };
+
+  const editMatch = matchPath("/realizations/:id/edit", pathname);
+  const editingRealization = editMatch
+    ? loadedRealizations.find(
+        (realization) => String(realization.id) === editMatch.id
+      ) || null
+    : null;
+  const isFormOpen =
+    canEdit && (pathname === "/realizations/new" || !!editingRealization);
+  const isImportOpen = canEdit && pathname === "/realizations/import";
+  const isRecurringOpen = canEdit && pathname === "/realizations/recurring";
+  const isRecurringReviewOpen =
+    canEdit && pathname === "/realizations/recurring/review";
+  const goTo = (path) => navigate(`${path}${search}`);
+
+  // Viewers can't change anything, so a link to a form opens the list
+  useEffect(() => {
+    if (!canEdit && pathname !== "/realizations") {
+      showMessage(VIEW_ONLY_MESSAGE, "error");
+      navigate(`/realizations${window.location.search}`, { replace: true });
+    }
+  }, [canEdit, pathname, showMessage]);
+
+  const fetchBudgetsForDropdown = useCallback(async () => {
+    try {
+      const data = await cachedGet("/budgets/", token);
+      setBudgets(data);
+    } catch (error) {
+      showMessage(
+        error.message || "Failed to load budgets for dropdown.",
+        "error"
+      );
+    }
+  }, [token, showMessage]);
+
+  const fetchRealizations = useCallback(async () => {
+    setLoading(true);
+    try {
+      let endpoint = "/realizations/";
+      const params = new URLSearchParams();
+      if (filterMonth) {
+        params.append("month", filterMonth);
+      }
+      if (filterYear) {
+        params.append("year", filterYear);
+      }
+      if (params.toString()) {
+        endpoint += `?${params.toString()}`;
+      }
+      const data = await cachedGet(endpoint, token);
+      setRealizations(data);
+    } catch (error) {
+      showMessage(error.message || "Failed to fetch realizations.", "error");
+    } finally {
+      setLoading(false);
+      setRealizationsLoaded(true);
+    }
+  }, [token, showMessage, filterMonth, filterYear]);
+
+  // Duplicate detection and budget suggestions need every realization, not just the filtered ones
+  const fetchImportHistory = useCallback(async () => {
+    try {
+      const data = await cachedGet("/realizations/", token);
+      setImportHistory(data);
+    } catch (error) {
+      showMessage(
+        error.message || "Failed to load realizations for import.",
+        "error"
+      );
+    }
+  }, [token, showMessage]);
+
+  // Refetch after queued offline changes have synced
+  useEffect(() => {
+    fetchBudgetsForDropdown();
+  }, [fetchBudgetsForDropdown, syncVersion]);
+
+  useEffect(() => {
+    fetchRealizations();
+  }, [fetchRealizations, syncVersion]);
+
+  useEffect(() => {
+    if (isImportOpen) {
+      fetchImportHistory();
+    }
+  }, [isImportOpen, fetchImportHistory]);
+
+  // A deep link to a realization outside the loaded list falls back to the list
+  useEffect(() => {
+    if (editMatch && realizationsLoaded && !loading && !editingRealization) {
+      showMessage("Realization not found for the current filters.", "error");
+      navigate(`/realizations${window.location.search}`, { replace: true });
+    }
+  }, [editMatch, realizationsLoaded, loading, editingRealization, showMessage]);
+
+  const handleSaveRealization = async (realizationData, foreign) => {
+    setLoading(true);
+    try {
+      rememberLastBudget(realizationData.budget_id);
+      // A change queued offline carries its foreign amount until it syncs (see App)
+      const result = editingRealization
+        ? await queuedMutation(
+            `/realizations/${editingRealization.id}`,
+            "PUT",
+            realizationData,
+            token,
+            { foreign }
+          )
+        : await queuedMutation(
+            "/realizations/",
+            "POST",
+            realizationData,
+            token,
+            { foreign }
+          );
+      if (!result?.queued) {
+        saveForeignAmount(editingRealization?.id ?? result.id, foreign);
+      }
+      if (result?.queued) {
+        showMessage(
+          "Saved offline. The realization will sync when back online.",
+          "success"
+        );
+      } else {
+        const entry = recordActivity(
+          editingRealization
+            ? {
+                entity: "realization",
+                action: "update",
+                before: editingRealization,
+                after: { ...editingRealization, ...realizationData },
+              }
+            : { entity: "realization", action: "create", after: result }
+        );
+        showMessage(
+          editingRealization
+            ? "Realization updated successfully!"
+            : "Realization created successfully!",
+          "success",
+          getUndoAction(entry, token, showMessage, fetchRealizations)
+        );
+      }
+      goTo("/realizations");
+      fetchRealizations();
+    } catch (error) {
+      const fieldErrors = getServerFieldErrors(error, REALIZATION_FIELDS);
+      if (fieldErrors) {
+        return fieldErrors;
+      }
+      showMessage(error.message || "Failed to save realization.", "error");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Create each line of a split purchase, then record them as one group. Lines are created
+  // online only, since linking needs the ids the server assigns. If a line fails, the lines
+  // already created are deleted again so a receipt is never left half saved.
+  const handleSaveSplit = async ({ name, lines }) => {
+    setLoading(true);
+    const created = [];
+    try {
+      for (const realizationData of lines) {
+        created.push(
+          await apiCall("/realizations/", "POST", realizationData, token)
+        );
+      }
+      saveSplitGroup(
+        Date.now(),
+        name,
+        created.map((line) => line.id)
+      );
+      created.forEach((line) =>
+        recordActivity({ entity: "realization", action: "create", after: line })
+      );
+      showMessage(
+        `Split realization saved across ${lines.length} budgets!`,
+        "success"
+      );
+      goTo("/realizations");
+    } catch (error) {
+      const leftOver = [];
+      for (const line of created) {
+        await apiCall(`/realizations/${line.id}`, "DELETE", null, token).catch(
+          () => leftOver.push(line)
+        );
+      }
+      showMessage(
+        `The split was not saved: ${
+          error.message || "Failed to save realization."
+        }${
+          leftOver.length > 0
+            ? ` These lines could not be removed again: ${leftOver
+                .map((line) => `${line.name} (${formatAmount(line.amount)})`)
+                .join(", ")}.`
+            : ""
+        }`,
+        "error"
+      );
+    } finally {
+      setLoading(false);
+      fetchRealizations();
+    }
+  };
+
+  const handleDeleteRealization = async (id) => {
+    const realization = loadedRealizations.find((r) => r.id === id);
+    const confirmed = await confirmAction({
+      title: "Delete Realization",
+      message: realization
+        ? `Delete "${realization.name}" (${formatAmount(
+            realization.amount
+          )} on ${realization.expense_date})?`
+        : "Are you sure you want to delete this realization?",
+    });
+    if (!confirmed) {
+      return;
+    }
+    setLoading(true);
+    try {
+      const result = await queuedMutation(
+        `/realizations/${id}`,
+        "DELETE",
+        null,
+        token
+      );
+      removeFromSplitGroup(id);
+      if (result?.queued) {
+        showMessage(
+          "Deleted offline. The change will sync when back online.",
+          "success"
+        );
+      } else {
+        const entry = recordActivity({
+          entity: "realization",
+          action: "delete",
+          before: realization,
+        });
+        showMessage(
+          "Realization deleted successfully!",
+          "success",
+          getUndoAction(entry, token, showMessage, fetchRealizations)
+        );
+      }
+      fetchRealizations();
+    } catch (error) {
+      showMessage(error.message || "Failed to delete realization.", "error");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Create imported rows one by one and report the outcome of each
+  const handleImportRealizations = async (rows) => {
+    setLoading(true);
+    const results = [];
+    for (const realizationData of rows) {
+      try {
+        const created = await apiCall(
+          "/realizations/",
+          "POST",
+          realizationData,
+          token
+        );
+        recordActivity({
+          entity: "realization",
+          action: "create",
+          after: created,
+        });
+        results.push({ ok: true });
+      } catch (error) {
+        results.push({ ok: false, error: error.message || "Failed" });
+      }
+    }
+    setLoading(false);
+    const failed = results.filter((result) => !result.ok).length;
+    showMessage(
+      `Imported ${rows.length - failed} of ${rows.length} realizations.`,
+      failed > 0 ? "error" : "success"
+    );
+    fetchRealizations();
+    return results;
+  };
+
+  const updateRecurringRules = (rules) => {
+    saveRecurringRules(rules);
+    setRecurringRules(rules);
+  };
+
+  const handleSaveRecurringRule = (ruleData) => {
+    updateRecurringRules(
+      ruleData.id
+        ? recurringRules.map((rule) =>
+            rule.id === ruleData.id ? { ...rule, ...ruleData } : rule
+          )
+        : [
+            ...recurringRules,
+            { ...ruleData, id: Date.now(), reviewedMonths: [] },
+          ]
+    );
+    showMessage("Recurring expense saved!", "success");
+  };
+
+  const handleDeleteRecurringRule = async (id) => {
+    const rule = recurringRules.find((r) => r.id === id);
+    const confirmed = await confirmAction({
+      title: "Delete Recurring Expense",
+      message: rule
+        ? `Stop adding "${rule.description}" (${formatAmount(
+            rule.amount
+          )})? Realizations already created are kept.`
+        : "Are you sure you want to delete this recurring expense?",
+    });
+    if (!confirmed) {
+      return;
+    }
+    updateRecurringRules(recurringRules.filter((rule) => rule.id !== id));
+    showMessage("Recurring expense deleted successfully!", "success");
+  };
+
+  // Create the confirmed bills; ones that fail stay due so they can be confirmed again
+  const handleConfirmRecurring = async (items) => {
+    setLoading(true);
+    let rules = recurringRules;
+    let failed = 0;
+    for (const { ruleId, year, month, realizationData } of items) {
+      try {
+        const result = await queuedMutation(
+          "/realizations/",
+          "POST",
+          realizationData,
+          token
+        );
+        if (!result?.queued) {
+          recordActivity({
+            entity: "realization",
+            action: "create",
+            after: result,
+          });
+        }
+        rules = markRuleReviewed(rules, ruleId, year, month);
+      } catch (error) {
+        console.error("Failed to create recurring expense:", error);
+        failed++;
+      }
+    }
+    updateRecurringRules(rules);
+    setLoading(false);
+    showMessage(
+      `Added ${items.length - failed} of ${items.length} recurring expenses.`,
+      failed > 0 ? "error" : "success"
+    );
+    fetchRealizations();
+    if (failed === 0) {
+      goTo("/realizations");
+    }
+  };
+
+  const handleSkipRecurring = (ruleId, year, month) => {
+    updateRecurringRules(markRuleReviewed(recurringRules, ruleId, year, month));
+  };
+
+  const handleEditClick = (realization) => {
+    goTo(`/realizations/${realization.id}/edit`);
+  };
+
+  const handleAddClick = () => {
+    goTo("/realizations/new");
+  };
+
+  const handleImportClick = () => {
+    goTo("/realizations/import");
+  };
+
+  const isPanelOpen =
+    isFormOpen ||
+    isImportOpen ||
+    isRecurringOpen ||
+    isRecurringReviewOpen ||
+    !!editMatch;
+
+  const realizationColumns = [
+    { key: "expense_date", label: "Date" },
+    {
+      key: "name",
+      label: "Description",
+      searchable: true,
+      render: (realization) => (
+        <>
+          {realization.name}
+          <SyncBadge row={realization} />
+        </>
+      ),
+    },
+    {
+      key: "budget",
+      label: "Budget",
+      searchable: true,
+      value: (row) =>
+        row.lines ? `Split (${row.lines.length} budgets)` : getBudgetName(row),
+    },
+    ...(household
+      ? [
+          {
+            key: "created_by",
+            label: "Entered By",
+            value: (row) =>
+              row.lines
+                ? [...new Set(row.lines.map((line) => line.created_by))].join(
+                    ", "
+                  )
+                : row.created_by || "-",
+          },
+        ]
+      : []),
+    {
+      key: "amount",
+      label: "Amount",
+      value: (realization) => Number(realization.amount),
+      format: formatAmount,
+      render: (realization) => {
+        const foreign = !realization.lines && getForeignAmount(realization.id);
+        return (
+          <>
+            {formatAmount(realization.amount)}
+            {foreign && (
+              <span className="ml-2 text-xs text-gray-500">
+                ({formatAmount(foreign.amount, foreign.currency)})
+              </span>
+            )}
+          </>
+        );
+      },
+      total: true,
+    },
+    {
+      key: "actions",
+      label: "Actions",
+      sortable: false,
+      // Split groups are edited line by line once expanded
+      render: (realization) =>
+        !realization.lines && (
+          <div
+            className={`flex space-x-2 ${
+              realization.pendingDelete ? "invisible" : ""
+            }`}
+          >
+            <button
+              onClick={() => handleEditClick(realization)}
+              className="text-blue-600 hover:text-blue-900 transition duration-150 ease-in-out"
+              title="Edit Realization"
+            >
+              <Edit size={18} />
+            </button>
+            <button
+              onClick={() => handleDeleteRealization(realization.id)}
+              className="text-red-600 hover:text-red-900 transition duration-150 ease-in-out"
+              title="Delete Realization"
+            >
+              <Trash2 size={18} />
+            </button>
+          </div>
+        ),
+    },
+  ];
+
+  // Export the rows currently shown, with the budget name resolved for readability
+  const getExportRows = () =>
+    realizations.map((realization) => ({
+      ...realization,
+      budget_name: getBudgetName(realization),
+    }));
+
+  const getExportFilename = () =>
+    ["realizations", filterYear, filterMonth].filter(Boolean).join("-");
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg">
+      <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
+        <ListTodo size={24} className="mr-2" /> Your Realizations
+      </h2>
+
+      <div className="mb-6 flex space-x-3">
+        {canEdit && (
+          <>
+            <button
+              onClick={handleAddClick}
+              className="flex items-center px-5 py-2 bg-green-500 hover:bg-green-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+            >
+              <Plus size={20} className="mr-2" /> Add New Realization
+            </button>
+            <button
+              onClick={handleImportClick}
+              className="flex items-center px-5 py-2 bg-purple-500 hover:bg-purple-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+            >
+              <Upload size={20} className="mr-2" /> Import CSV
+            </button>
+            <button
+              onClick={() => goTo("/realizations/recurring")}
+              className="flex items-center px-5 py-2 bg-teal-500 hover:bg-teal-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+            >
+              <Repeat size={20} className="mr-2" /> Recurring
+            </button>
+          </>
+        )}
+        <ExportButtons
+          onExportCsv={() =>
+            downloadCsv(
+              getExportFilename(),
+              getExportRows(),
+              REALIZATION_EXPORT_COLUMNS
+            )
+          }
+          onExportJson={() =>
+            downloadJson(getExportFilename(), getExportRows())
+          }
+          disabled={realizations.length === 0}
+        />
+      </div>
+
+      {canEdit && dueOccurrences.length > 0 && !isRecurringReviewOpen && (
+        <div className="mb-6 p-4 bg-teal-50 border border-teal-200 rounded-lg flex items-center justify-between">
+          <p className="text-teal-800 text-sm font-medium">
+            {dueOccurrences.length} recurring expense
+            {dueOccurrences.length === 1 ? " is" : "s are"} due since{" "}
+            {MONTH_NAMES[dueOccurrences[0].month - 1]} {dueOccurrences[0].year}.
+          </p>
+          <button
+            onClick={() => goTo("/realizations/recurring/review")}
+            className="px-4 py-2 bg-teal-500 hover:bg-teal-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
+          >
+            Review
+          </button>
+        </div>
+      )}
+
+      {isRecurringOpen && (
+        <RecurringManager
+          rules={recurringRules}
+          budgets={budgets}
+          onSaveRule={handleSaveRecurringRule}
+          onDeleteRule={handleDeleteRecurringRule}
+          onClose={() => goTo("/realizations")}
+        />
+      )}
+
+      {isRecurringReviewOpen && (
+        <RecurringReview
+          dueOccurrences={dueOccurrences}
+          budgets={budgets}
+          onConfirm={handleConfirmRecurring}
+          onSkip={handleSkipRecurring}
+          onClose={() => goTo("/realizations")}
+          loading={loading}
+        />
+      )}
+
+      {isFormOpen && (
+        <RealizationForm
+          key={editingRealization?.id ?? "new"}
+          onSave={handleSaveRealization}
+          onCancel={() => goTo("/realizations")}
+          initialData={editingRealization}
+          budgets={budgets} // Pass budgets for dropdown
+          loading={loading}
+          onSaveSplit={handleSaveSplit}
+        />
+      )}
+
+      {editMatch && !editingRealization && (
+        <p className="text-blue-600 text-center py-4">Loading realization...</p>
+      )}
+
+      {isImportOpen && (
+        <RealizationImportWizard
+          budgets={budgets}
+          history={importHistory}
+          onImport={handleImportRealizations}
+          onClose={() => goTo("/realizations")}
+          loading={loading}
+        />
+      )}
+
+      <RealizationFilters
+        budgets={budgets}
+        members={household?.members || []}
+        filters={query}
+        onChange={updateFilters}
+        onApply={fetchRealizations}
+        onReplace={(filters) =>
+          navigate(buildPath(pathname, filters), { replace: true })
+        }
+      />
+
+      {loading && !isPanelOpen && (
+        <p className="text-blue-600 text-center py-4">
+          Loading realizations...
+        </p>
+      )}
+
+      {!isPanelOpen && realizations.length === 0 && !loading && (
+        <p className="text-gray-600 text-center py-4">
+          No realizations found for the selected filters. Add one to get
+          started!
+        </p>
+      )}
+
+      {!isPanelOpen && realizations.length > 0 && (
+        <DataTable
+          rows={groupSplitRealizations(realizations)}
+          columns={
+            canEdit
+              ? realizationColumns
+              : realizationColumns.filter((column) => column.key !== "actions")
+          }
+          getSubRows={(row) => row.lines || null}
+          defaultSort={{ key: "expense_date", direction: "desc" }}
+          searchPlaceholder="Search by description or budget..."
+          rowClassName={(realization) =>
+            realization.pendingDelete ? "line-through opacity-60" : ""
+          }
+        />
+      )}
+    </div>
+  );
+};
+
+// Filter panel for the realization list, with named presets of the current filter
+const RealizationFilters = ({
+  budgets,
+  members,
+  filters,
+  onChange,
+  onApply,
+  onReplace,
+}) => {
+  const [presets, setPresets] = useState(loadFilterPresets);
+  const [presetName, setPresetName] = useState("");
+
+  const budgetNames = [...new Set(budgets.map((budget) => budget.name))].sort();
+  const selectedBudgets = parseBudgetNames(filters.budgets);
+  const categoryNames = getCategoryNames();
+  const range = getDateRange(filters);
+
+  const toggleBudget = (name) => {
+    onChange({
+      budgets: formatBudgetNames(
+        selectedBudgets.includes(name)
+          ? selectedBudgets.filter((selected) => selected !== name)
+          : [...selectedBudgets, name]
+      ),
+    });
+  };
+
+  // Picking a date switches a relative period to a custom range starting from its dates
+  const handleDateChange = (changes) => {
+    onChange({ ...range, ...changes, period: "custom" });
+  };
+
+  const updatePresets = (next) => {
+    saveFilterPresets(next);
+    setPresets(next);
+  };
+
+  const handleSavePreset = (e) => {
+    e.preventDefault();
+    const name = presetName.trim();
+    const presetQuery = Object.fromEntries(
+      FILTER_KEYS.filter((key) => filters[key]).map((key) => [
+        key,
+        filters[key],
+      ])
+    );
+    updatePresets([
+      ...presets.filter((preset) => preset.name !== name),
+      { name, query: presetQuery },
+    ]);
+    setPresetName("");
+  };
+
+  const inputClass =
+    "w-full px-3 py-1 text-black border border-gray-300 rounded-lg";
+  const labelClass = "block text-sm text-gray-600 mb-1";
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg shadow-inner">
+      <h3 className="text-lg font-semibold text-gray-700 mb-4">
+        Filter Realizations:
+      </h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div>
+          <label htmlFor="filterMonth" className={labelClass}>
+            Month:
+          </label>
+          <input
+            type="number"
+            id="filterMonth"
+            value={filters.month || ""}
+            onChange={(e) => onChange({ month: e.target.value })}
+            min="1"
+            max="12"
+            placeholder="e.g., 7"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="filterYear" className={labelClass}>
+            Year:
+          </label>
+          <input
+            type="number"
+            id="filterYear"
+            value={filters.year || ""}
+            onChange={(e) => onChange({ year: e.target.value })}
+            min="2000"
+            placeholder="e.g., 2025"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="filterPeriod" className={labelClass}>
+            Date range:
+          </label>
+          <select
+            id="filterPeriod"
+            value={filters.period || ""}
+            onChange={(e) =>
+              e.target.value === "custom"
+                ? handleDateChange({})
+                : onChange({ period: e.target.value, from: "", to: "" })
+            }
+            className={inputClass}
+          >
+            <option value="">Any date</option>
+            {DATE_PERIODS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label htmlFor="filterFrom" className={labelClass}>
+              From:
+            </label>
+            <input
+              type="date"
+              id="filterFrom"
+              value={range.from}
+              onChange={(e) => handleDateChange({ from: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label htmlFor="filterTo" className={labelClass}>
+              To:
+            </label>
+            <input
+              type="date"
+              id="filterTo"
+              value={range.to}
+              onChange={(e) => handleDateChange({ to: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+        </div>
+        <div>
+          <label htmlFor="filterMin" className={labelClass}>
+            Min Amount:
+          </label>
+          <input
+            type="number"
+            id="filterMin"
+            step="0.01"
+            value={filters.min || ""}
+            onChange={(e) => onChange({ min: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="filterMax" className={labelClass}>
+            Max Amount:
+          </label>
+          <input
+            type="number"
+            id="filterMax"
+            step="0.01"
+            value={filters.max || ""}
+            onChange={(e) => onChange({ max: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div className="col-span-2">
+          <label htmlFor="filterText" className={labelClass}>
+            Description contains:
+          </label>
+          <input
+            type="search"
+            id="filterText"
+            value={filters.q || ""}
+            onChange={(e) => onChange({ q: e.target.value })}
+            placeholder="e.g., coffee"
+            className={inputClass}
+          />
+        </div>
+        {members.length > 0 && (
+          <div>
+            <label htmlFor="filterMember" className={labelClass}>
+              Entered by:
+            </label>
+            <select
+              id="filterMember"
+              value={filters.member || ""}
+              onChange={(e) => onChange({ member: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">Anyone</option>
+              {members.map((member) => (
+                <option key={member} value={member}>
+                  {member}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+        {categoryNames.length > 0 && (
+          <div>
+            <label htmlFor="filterCategory" className={labelClass}>
+              Category:
+            </label>
+            <select
+              id="filterCategory"
+              value={filters.category || ""}
+              onChange={(e) => onChange({ category: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">All categories</option>
+              {[...categoryNames, UNCATEGORIZED].map((category) => (
+                <option key={category} value={category}>
+                  {category}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {budgetNames.length > 0 && (
+        <div className="mt-4">
+          <span className={labelClass}>Budgets:</span>
+          <div className="flex flex-wrap gap-2">
+            {budgetNames.map((name) => (
+              <label
+                key={name}
+                className={`inline-flex items-center px-3 py-1 rounded-full border text-sm cursor-pointer ${
+                  selectedBudgets.includes(name)
+                    ? "bg-blue-100 border-blue-300 text-blue-800"
+                    : "bg-white border-gray-300 text-gray-700"
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={selectedBudgets.includes(name)}
+                  onChange={() => toggleBudget(name)}
+                  className="mr-2"
+                />
+                {name}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="mt-4 flex flex-wrap items-center gap-3">
+        <button
+          onClick={onApply}
+          className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
+        >
+          Apply Filter
+        </button>
+        <button
+          onClick={() => onReplace({})}
+          className="px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+        >
+          Clear Filters
+        </button>
+        <form
+          onSubmit={handleSavePreset}
+          className="flex items-center space-x-2 ml-auto"
+        >
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="e.g., Dining this quarter"
+            className="px-3 py-1 text-black border border-gray-300 rounded-lg"
+            required
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
+          >
+            Save Filter
+          </button>
+        </form>
+      </div>
+
+      {presets.length > 0 && (
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <span className="text-sm text-gray-600">Saved filters:</span>
+          {presets.map((preset) => (
+            <span
+              key={preset.name}
+              className="inline-flex items-center px-3 py-1 rounded-full bg-white border border-gray-300 text-sm text-gray-700"
+            >
+              <button
+                onClick={() => onReplace(preset.query)}
+                className="hover:text-blue-700"
+                title="Apply saved filter"
+              >
+                {preset.name}
+              </button>
+              <button
+                onClick={() =>
+                  updatePresets(presets.filter((p) => p.name !== preset.name))
+                }
+                className="ml-2 text-gray-400 hover:text-red-600"
+                title="Delete saved filter"
+              >
+                <XCircle size={14} />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Today's date as "YYYY-MM-DD" in local time (toISOString would use UTC)
+const getTodayIsoDate = () => {
+  const today = new Date();
+  today.setMinutes(today.getMinutes() - today.getTimezoneOffset());
+  return today.toISOString().split("T")[0];
+};
+
+// Budget ids only mean something in their household, so the key is scoped (see storage.js)
+const getLastBudgetKey = createScopedKey("lastBudgetId");
+
+const rememberLastBudget = (budgetId) => {
+  localStorage.setItem(getLastBudgetKey(), budgetId);
+};
+
+// The last-used budget's namesake in the current month (the budget itself until the month
+// rolls over); "" when this month has none, as only this month's budgets are offered
+const getDefaultBudgetId = (budgets) => {
+  const lastBudget = budgets.find(
+    (budget) => String(budget.id) === localStorage.getItem(getLastBudgetKey())
+  );
+  if (!lastBudget) {
+    return "";
+  }
+  const today = new Date();
+  const current = budgets.find(
+    (budget) =>
+      budget.name === lastBudget.name &&
+      budget.budget_month === today.getMonth() + 1 &&
+      budget.budget_year === today.getFullYear()
+  );
+  return current ? String(current.id) : "";
+};
+
+// Budgets whose month/year matches an expense date ("YYYY-MM-DD")
+const getBudgetsForDate = (budgets, isoDate) => {
+  const [year, month] = (isoDate || "").split("-").map(Number);
+  return budgets.filter(
+    (budget) => budget.budget_month === month && budget.budget_year === year
+  );
+};
+
+// Before/after realized totals of the budgets an edit touches: the original amount leaves
+// the original budget and the new amount lands on the selected one
+const getBudgetTotalChanges = (budgets, initialData, budgetId, amount) => {
+  const changes = {};
+  const adjust = (id, delta) => {
+    const budget = budgets.find((b) => String(b.id) === String(id));
+    if (!budget) {
+      return;
+    }
+    const realized = Number(budget.total_realized) || 0;
+    changes[budget.id] = changes[budget.id] || {
+      budget,
+      before: realized,
+      after: realized,
+    };
+    changes[budget.id].after += delta;
+  };
+  adjust(initialData.budget_id, -(Number(initialData.amount) || 0));
+  adjust(budgetId, parseFloat(amount) || 0);
+  return Object.values(changes).filter(
+    (change) => Math.abs(change.after - change.before) >= 0.005
+  );
+};
+
+const RealizationForm = ({
+  onSave, // (data, foreign) => may resolve to field errors to show inline
+  onCancel,
+  initialData,
+  budgets,
+  loading,
+  compact = false, // Single-column layout for the quick-add shortcut
+  defaultBudgetId = "",
+  onSaveSplit = null, // Enables split mode for new realizations
+}) => {
+  const { currency: baseCurrency } = getCurrencySettings();
+  const initialForeign = initialData ? getForeignAmount(initialData.id) : null;
+  const [currency, setCurrency] = useState(
+    initialForeign?.currency || baseCurrency
+  );
+  const [foreignAmount, setForeignAmount] = useState(
+    initialForeign?.amount ?? ""
+  );
+  const [rate, setRate] = useState(initialForeign?.rate ?? "");
+  const [expenseDate, setExpenseDate] = useState(
+    initialData?.expense_date || ""
+  );
+  const [name, setName] = useState(initialData?.name || "");
+  const [budgetId, setBudgetId] = useState(initialData?.budget_id || "");
+  const [amount, setAmount] = useState(initialData?.amount || "");
+  const [splitMode, setSplitMode] = useState(false);
+  const [splitLines, setSplitLines] = useState([
+    { budgetId: "", amount: "" },
+    { budgetId: "", amount: "" },
+  ]);
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    const foreign = initialData ? getForeignAmount(initialData.id) : null;
+    setCurrency(foreign?.currency || baseCurrency);
+    setForeignAmount(foreign?.amount ?? "");
+    setRate(foreign?.rate ?? "");
+    if (initialData) {
+      setExpenseDate(initialData.expense_date);
+      setName(initialData.name);
+      setBudgetId(initialData.budget_id);
+      setAmount(initialData.amount);
+    } else {
+      // Set default date to today for new realizations
+      setExpenseDate(getTodayIsoDate());
+      setName("");
+      setBudgetId(defaultBudgetId);
+      setAmount("");
+    }
+  }, [initialData, defaultBudgetId, baseCurrency]);
+
+  // Foreign-currency expenses are saved in the base currency at the entered rate
+  const isForeign = currency !== baseCurrency;
+  const baseAmount = isForeign ? convertToBase(foreignAmount, rate) : amount;
+
+  const handleCurrencyChange = (value) => {
+    setCurrency(value);
+    if (value !== baseCurrency) {
+      setRate(getCachedRate(value));
+    }
+  };
+
+  const dateBudgets = getBudgetsForDate(budgets, expenseDate);
+  const totalChanges = initialData
+    ? getBudgetTotalChanges(budgets, initialData, budgetId, baseAmount)
+    : [];
+  const splitRemainder = getSplitRemainder(
+    amount,
+    splitLines.map((line) => line.amount)
+  );
+
+  // Keep selected budgets in step with the date: switch to the same-named budget of the
+  // new month, or clear the selection when that month has none
+  const handleDateChange = (value) => {
+    setExpenseDate(value);
+    const remap = (id) => {
+      const selected = budgets.find((b) => String(b.id) === String(id));
+      if (!selected || getBudgetsForDate([selected], value).length) {
+        return id;
+      }
+      const namesake = getBudgetsForDate(budgets, value).find(
+        (b) => b.name === selected.name
+      );
+      return namesake ? String(namesake.id) : "";
+    };
+    setBudgetId(remap(budgetId));
+    setSplitLines((lines) =>
+      lines.map((line) => ({ ...line, budgetId: remap(line.budgetId) }))
+    );
+  };
+
+  const updateSplitLine = (index, changes) => {
+    setSplitLines((lines) =>
+      lines.map((line, i) => (i === index ? { ...line, ...changes } : line))
+    );
+    setErrors((current) => withoutError(current, "split"));
+  };
+
+  const clearError = (field) => {
+    setErrors((current) => withoutError(current, field));
+  };
+
+  // Split lines are checked together: each needs a budget and an amount, and they must
+  // add up to the receipt total
+  const validateSplitLines = () => {
+    if (
+      splitLines.some(
+        (line) => !line.budgetId || validateAmount(line.amount) !== undefined
+      )
+    ) {
+      return "Every line needs a budget and an amount that isn't negative.";
+    }
+    return splitRemainder !== 0
+      ? "The split amounts must add up to the receipt total."
+      : undefined;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const formErrors = validateRealization({
+      name,
+      amount: isForeign && !splitMode ? foreignAmount : amount,
+      expense_date: expenseDate,
+      budget_id: splitMode ? "split" : budgetId,
+    });
+    if (splitMode && validateSplitLines()) {
+      formErrors.split = validateSplitLines();
+    }
+    if (isForeign && !splitMode && !(parseFloat(rate) > 0)) {
+      formErrors.rate = "Exchange rate must be greater than zero.";
+    }
+    setErrors(formErrors);
+    if (hasErrors(formErrors)) {
+      return;
+    }
+    if (splitMode) {
+      onSaveSplit({
+        name,
+        lines: splitLines.map((line) => ({
+          expense_date: expenseDate,
+          name,
+          budget_id: line.budgetId,
+          amount: parseFloat(line.amount),
+        })),
+      });
+      return;
+    }
+    if (isForeign) {
+      cacheRate(currency, parseFloat(rate));
+    }
+    const serverErrors = await onSave(
+      {
+        expense_date: expenseDate,
+        name: name.trim(),
+        budget_id: budgetId,
+        amount: isForeign ? baseAmount : parseFloat(amount),
+      },
+      isForeign
+        ? {
+            currency,
+            amount: parseFloat(foreignAmount),
+            rate: parseFloat(rate),
+          }
+        : null
+    );
+    setErrors(serverErrors || {});
+  };
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-xl shadow-inner mb-6 border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800">
+          {initialData
+            ? "Edit Realization"
+            : compact
+            ? "Quick Add Expense"
+            : "Add New Realization"}
+        </h3>
+        {!initialData && onSaveSplit && (
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={splitMode}
+              onChange={(e) => setSplitMode(e.target.checked)}
+              className="mr-2"
+            />
+            Split across budgets
+          </label>
+        )}
+      </div>
+      <form
+        onSubmit={handleSubmit}
+        className={`grid grid-cols-1 gap-4 ${compact ? "" : "md:grid-cols-2"}`}
+        noValidate
+      >
+        <div>
+          <label
+            htmlFor="realizationDate"
+            className="block text-gray-700 text-sm font-semibold mb-2"
+          >
+            Date
+          </label>
+          <input
+            type="date"
+            id="realizationDate"
+            value={expenseDate}
+            onChange={(e) => {
+              handleDateChange(e.target.value);
+              clearError("expense_date");
+            }}
+            className={`w-full px-4 py-2 text-black border rounded-lg ${getFieldBorder(
+              errors.expense_date
+            )}`}
+            aria-invalid={!!errors.expense_date}
+            aria-describedby="realizationDateError"
+            required
+          />
+          <FieldError id="realizationDateError" error={errors.expense_date} />
+        </div>
+        <div>
+          <label
+            htmlFor="realizationName"
+            className="block text-gray-700 text-sm font-semibold mb-2"
+          >
+            Description
+          </label>
+          <input
+            type="text"
+            id="realizationName"
+            value={name}
+            onChange={(e) => {
+              setName(e.target.value);
+              clearError("name");
+            }}
+            className={`w-full px-4 py-2 text-black border rounded-lg ${getFieldBorder(
+              errors.name
+            )}`}
+            aria-invalid={!!errors.name}
+            aria-describedby="realizationNameError"
+            required
+          />
+          <FieldError id="realizationNameError" error={errors.name} />
+        </div>
+        {!splitMode && (
+          <div>
+            <label
+              htmlFor="realizationBudget"
+              className="block text-gray-700 text-sm font-semibold mb-2"
+            >
+              Budget
+            </label>
+            <select
+              id="realizationBudget"
+              value={budgetId}
+              onChange={(e) => {
+                setBudgetId(e.target.value);
+                clearError("budget_id");
+              }}
+              className={`w-full px-4 py-2 text-black border rounded-lg ${getFieldBorder(
+                errors.budget_id
+              )}`}
+              aria-invalid={!!errors.budget_id}
+              aria-describedby="realizationBudgetError"
+              required
+            >
+              <option value="">
+                {dateBudgets.length
+                  ? "Select a Budget"
+                  : "No budgets for this month"}
+              </option>
+              {dateBudgets.map((budget) => (
+                <option key={budget.id} value={budget.id}>
+                  {budget.name} ({budget.budget_month}/{budget.budget_year})
+                </option>
+              ))}
+            </select>
+            <FieldError id="realizationBudgetError" error={errors.budget_id} />
+          </div>
+        )}
+        <div>
+          <label
+            htmlFor="realizationAmount"
+            className="block text-gray-700 text-sm font-semibold mb-2"
+          >
+            {splitMode
+              ? "Receipt Total"
+              : isForeign
+              ? `Amount (${currency})`
+              : "Amount"}
+          </label>
+          <div className="flex space-x-2">
+            <input
+              type="number"
+              id="realizationAmount"
+              step="0.01"
+              min="0"
+              value={isForeign && !splitMode ? foreignAmount : amount}
+              onChange={(e) => {
+                if (isForeign && !splitMode) {
+                  setForeignAmount(e.target.value);
+                } else {
+                  setAmount(e.target.value);
+                }
+                clearError("amount");
+              }}
+              className={`w-full px-4 py-2 text-black border rounded-lg ${getFieldBorder(
+                errors.amount
+              )}`}
+              aria-invalid={!!errors.amount}
+              aria-describedby="realizationAmountError"
+              autoFocus={compact}
+              required
+            />
+            {!splitMode && (
+              <select
+                value={currency}
+                onChange={(e) => handleCurrencyChange(e.target.value)}
+                className="px-2 py-2 text-black border border-gray-300 rounded-lg"
+                title="Currency"
+              >
+                {[
+                  baseCurrency,
+                  ...CURRENCIES.filter((code) => code !== baseCurrency),
+                ].map((code) => (
+                  <option key={code} value={code}>
+                    {code}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+          <FieldError id="realizationAmountError" error={errors.amount} />
+        </div>
+        {isForeign && !splitMode && (
+          <div>
+            <label
+              htmlFor="realizationRate"
+              className="block text-gray-700 text-sm font-semibold mb-2"
+            >
+              Exchange Rate (1 {currency} in {baseCurrency})
+            </label>
+            <input
+              type="number"
+              id="realizationRate"
+              step="any"
+              min="0"
+              value={rate}
+              onChange={(e) => {
+                setRate(e.target.value);
+                clearError("rate");
+              }}
+              className={`w-full px-4 py-2 text-black border rounded-lg ${getFieldBorder(
+                errors.rate
+              )}`}
+              aria-invalid={!!errors.rate}
+              aria-describedby="realizationRateError"
+              required
+            />
+            <FieldError id="realizationRateError" error={errors.rate} />
+            <p className="text-xs text-gray-500 mt-1">
+              Counts as {formatAmount(baseAmount)} toward the budget.
+            </p>
+          </div>
+        )}
+        {splitMode && (
+          <div className="col-span-1 md:col-span-2">
+            <label className="block text-gray-700 text-sm font-semibold mb-2">
+              Split Lines
+            </label>
+            <div className="space-y-2">
+              {splitLines.map((line, index) => (
+                <div key={index} className="flex items-center space-x-2">
+                  <select
+                    value={line.budgetId}
+                    onChange={(e) =>
+                      updateSplitLine(index, { budgetId: e.target.value })
+                    }
+                    className="flex-1 px-4 py-2 text-black border border-gray-300 rounded-lg"
+                    required
+                  >
+                    <option value="">
+                      {dateBudgets.length
+                        ? "Select a Budget"
+                        : "No budgets for this month"}
+                    </option>
+                    {dateBudgets.map((budget) => (
+                      <option key={budget.id} value={budget.id}>
+                        {budget.name}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={line.amount}
+                    onChange={(e) =>
+                      updateSplitLine(index, { amount: e.target.value })
+                    }
+                    placeholder="Amount"
+                    className="w-36 px-4 py-2 text-black border border-gray-300 rounded-lg"
+                    required
+                  />
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setSplitLines((lines) =>
+                        lines.filter((_, i) => i !== index)
+                      )
+                    }
+                    className="text-red-600 hover:text-red-900 disabled:opacity-40 disabled:cursor-not-allowed"
+                    title="Remove Line"
+                    disabled={splitLines.length <= 2}
+                  >
+                    <Trash2 size={18} />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <div className="flex items-center justify-between mt-2">
+              <button
+                type="button"
+                onClick={() =>
+                  setSplitLines((lines) => [
+                    ...lines,
+                    { budgetId: "", amount: splitRemainder || "" },
+                  ])
+                }
+                className="flex items-center text-sm text-blue-600 hover:text-blue-900"
+              >
+                <Plus size={16} className="mr-1" /> Add Line
+              </button>
+              <span
+                className={`text-sm font-semibold ${
+                  splitRemainder === 0 ? "text-green-700" : "text-red-700"
+                }`}
+              >
+                {splitRemainder === 0
+                  ? "Lines match the receipt total"
+                  : `Remaining to allocate: ${formatAmount(splitRemainder)}`}
+              </span>
+            </div>
+            <FieldError id="splitLinesError" error={errors.split} />
+          </div>
+        )}
+        {totalChanges.length > 0 && (
+          <div className="col-span-1 md:col-span-2 p-4 bg-blue-50 border border-blue-200 rounded-lg text-sm">
+            <p className="font-semibold text-blue-800 mb-2">
+              Budget totals after this change:
+            </p>
+            <ul className="space-y-1">
+              {totalChanges.map(({ budget, before, after }) => (
+                <li key={budget.id} className="text-gray-700">
+                  {budget.name} ({budget.budget_month}/{budget.budget_year}):{" "}
+                  {formatAmount(before)} &rarr;{" "}
+                  <span
+                    className={
+                      after > Number(budget.limit)
+                        ? "font-semibold text-red-700"
+                        : "font-semibold text-gray-900"
+                    }
+                  >
+                    {formatAmount(after)}
+                  </span>{" "}
+                  of {formatAmount(budget.limit)}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        <div className="col-span-1 md:col-span-2 flex justify-end space-x-3 mt-4">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-5 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+            disabled={loading}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-5 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
+            disabled={loading || (splitMode && splitRemainder !== 0)}
+          >
+            {loading
+              ? "Saving..."
+              : initialData
+              ? "Update Realization"
+              : splitMode
+              ? `Add ${splitLines.length} Split Realizations`
+              : "Add Realization"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// --- Realization Import Wizard ---
+
+const normalizeDescription = (text) =>
+  String(text).trim().toLowerCase().replace(/\s+/g, " ");
+
+// Guess which CSV column holds a field from its header text
+const guessColumn = (headers, pattern) => {
+  const index = headers.findIndex((header) => pattern.test(header));
+  return index === -1 ? "" : String(index);
+};
+
+const RealizationImportWizard = ({
+  budgets,
+  history,
+  onImport,
+  onClose,
+  loading,
+}) => {
+  const [step, setStep] = useState("upload"); // 'upload', 'map', 'review', 'report'
+  const [csvRows, setCsvRows] = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({ date: "", name: "", amount: "" });
+  const [dateFormat, setDateFormat] = useState(DATE_FORMATS[0]);
+  const [expenseSign, setExpenseSign] = useState("positive"); // How the bank writes money going out
+  const [reviewRows, setReviewRows] = useState([]);
+  const [results, setResults] = useState([]);
+
+  const columnCount = Math.max(0, ...csvRows.map((row) => row.length));
+  const headers = hasHeader
+    ? Array.from(
+        { length: columnCount },
+        (_, i) => csvRows[0]?.[i] || `Column ${i + 1}`
+      )
+    : Array.from({ length: columnCount }, (_, i) => `Column ${i + 1}`);
+  const dataRows = hasHeader ? csvRows.slice(1) : csvRows;
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+    const rows = parseCsv(await file.text());
+    const firstRow = rows[0] || [];
+    const amountColumn = guessColumn(firstRow, /amount|debit|value|sum/i);
+    setCsvRows(rows);
+    setMapping({
+      date: guessColumn(firstRow, /date/i),
+      name: guessColumn(firstRow, /desc|name|memo|payee|detail/i),
+      amount: amountColumn,
+    });
+    // Most statement lines are spending, so the more common sign is the expense sign
+    const amounts = rows.map((row) => parseAmount(row[amountColumn] ?? "")); // Headers parse as NaN
+    setExpenseSign(
+      amounts.filter((amount) => amount < 0).length >
+        amounts.filter((amount) => amount > 0).length
+        ? "negative"
+        : "positive"
+    );
+    setStep("map");
+  };
+
+  // Suggest a budget from the most recent realization with the same description,
+  // picking the budget of that name in the row's own month
+  const suggestBudgetId = (isoDate, name) => {
+    if (!isoDate) {
+      return "";
+    }
+    const [year, month] = isoDate.split("-").map((part) => parseInt(part));
+    const previous = [...history]
+      .sort((a, b) => b.expense_date.localeCompare(a.expense_date))
+      .find(
+        (realization) =>
+          normalizeDescription(realization.name) === normalizeDescription(name)
+      );
+    const previousBudget =
+      previous && budgets.find((budget) => budget.id === previous.budget_id);
+    if (!previousBudget) {
+      return "";
+    }
+    const match = budgets.find(
+      (budget) =>
+        budget.name === previousBudget.name &&
+        budget.budget_month === month &&
+        budget.budget_year === year
+    );
+    return match ? String(match.id) : "";
+  };
+
+  const handleReview = () => {
+    const seen = new Set(); // Rows earlier in the file, to flag repeats
+    const rows = dataRows.map((row, index) => {
+      const expenseDate = parseDate(row[mapping.date] ?? "", dateFormat);
+      const name = (row[mapping.name] ?? "").trim();
+      const signedAmount = parseAmount(row[mapping.amount] ?? "");
+      const amount = Math.abs(signedAmount);
+      // Money coming in (credits, refunds) isn't an expense; it's shown for review, not imported
+      const credit =
+        expenseSign === "negative" ? signedAmount > 0 : signedAmount < 0;
+      const errors = [];
+      if (!expenseDate) {
+        errors.push("Invalid date");
+      }
+      if (!name) {
+        errors.push("Missing description");
+      }
+      if (isNaN(amount) || amount === 0) {
+        errors.push("Invalid amount");
+      }
+      const duplicate =
+        errors.length === 0 &&
+        history.some(
+          (realization) =>
+            realization.expense_date === expenseDate &&
+            Math.abs(Number(realization.amount) - amount) < 0.005 &&
+            normalizeDescription(realization.name) ===
+              normalizeDescription(name)
+        );
+      const rowKey = `${expenseDate}|${amount.toFixed(
+        2
+      )}|${normalizeDescription(name)}`;
+      const repeated = errors.length === 0 && seen.has(rowKey);
+      seen.add(rowKey);
+      const budgetId = suggestBudgetId(expenseDate, name);
+      return {
+        index,
+        expenseDate,
+        name,
+        amount,
+        errors,
+        duplicate,
+        repeated,
+        credit,
+        budgetId,
+        suggested: budgetId !== "",
+        include: errors.length === 0 && !duplicate && !repeated && !credit,
+      };
+    });
+    setReviewRows(rows);
+    setStep("review");
+  };
+
+  const updateRow = (index, changes) => {
+    setReviewRows((current) =>
+      current.map((row) => (row.index === index ? { ...row, ...changes } : row))
+    );
+  };
+
+  const selectedRows = reviewRows.filter((row) => row.include && row.budgetId);
+
+  const handleImport = async () => {
+    const outcome = await onImport(
+      selectedRows.map((row) => ({
+        expense_date: row.expenseDate,
+        name: row.name,
+        budget_id: parseInt(row.budgetId),
+        amount: row.amount,
+      }))
+    );
+    setResults(selectedRows.map((row, i) => ({ ...row, ...outcome[i] })));
+    setStep("report");
+  };
+
+  const mappingComplete =
+    mapping.date !== "" && mapping.name !== "" && mapping.amount !== "";
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-xl shadow-inner mb-6 border border-gray-200">
+      <h3 className="text-xl font-bold text-gray-800 mb-4">
+        Import Realizations from CSV
+      </h3>
+
+      {step === "upload" && (
+        <div>
+          <label className="block text-gray-700 text-sm font-semibold mb-2">
+            Bank statement (CSV)
+          </label>
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFileChange}
+            className="w-full px-4 py-2 text-black border border-gray-300 rounded-lg bg-white"
+          />
+        </div>
+      )}
+
+      {step === "map" && (
+        <div>
+          <label className="flex items-center text-sm text-gray-700 mb-4">
+            <input
+              type="checkbox"
+              checked={hasHeader}
+              onChange={(e) => setHasHeader(e.target.checked)}
+              className="mr-2"
+            />
+            First row contains column headers
+          </label>
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-6">
+            {[
+              ["date", "Date Column"],
+              ["name", "Description Column"],
+              ["amount", "Amount Column"],
+            ].map(([field, label]) => (
+              <div key={field}>
+                <label className="block text-gray-700 text-sm font-semibold mb-2">
+                  {label}
+                </label>
+                <select
+                  value={mapping[field]}
+                  onChange={(e) =>
+                    setMapping({ ...mapping, [field]: e.target.value })
+                  }
+                  className="w-full px-4 py-2 text-black border border-gray-300 rounded-lg"
+                >
+                  <option value="">Select a Column</option>
+                  {headers.map((header, i) => (
+                    <option key={i} value={i}>
+                      {header}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <div>
+              <label className="block text-gray-700 text-sm font-semibold mb-2">
+                Expenses Are
+              </label>
+              <select
+                value={expenseSign}
+                onChange={(e) => setExpenseSign(e.target.value)}
+                className="w-full px-4 py-2 text-black border border-gray-300 rounded-lg"
+              >
+                <option value="positive">Positive amounts</option>
+                <option value="negative">Negative amounts</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-gray-700 text-sm font-semibold mb-2">
+                Date Format
+              </label>
+              <select
+                value={dateFormat}
+                onChange={(e) => setDateFormat(e.target.value)}
+                className="w-full px-4 py-2 text-black border border-gray-300 rounded-lg"
+              >
+                {DATE_FORMATS.map((format) => (
+                  <option key={format} value={format}>
+                    {format}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="text-sm text-gray-600 mb-2">
+            {dataRows.length} rows found. Preview:
+          </p>
+          <div className="overflow-x-auto mb-4">
+            <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-md">
+              <thead className="bg-gray-100 border-b border-gray-200">
+                <tr>
+                  {headers.map((header, i) => (
+                    <th
+                      key={i}
+                      className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider"
+                    >
+                      {header}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {dataRows.slice(0, 3).map((row, rowIndex) => (
+                  <tr key={rowIndex}>
+                    {headers.map((_, i) => (
+                      <td
+                        key={i}
+                        className="px-6 py-4 whitespace-nowrap text-sm text-gray-700"
+                      >
+                        {row[i]}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {step === "review" && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-md">
+            <thead className="bg-gray-100 border-b border-gray-200">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                  Import
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                  Date
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                  Description
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                  Amount
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                  Budget
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                  Status
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {reviewRows.map((row) => (
+                <tr
+                  key={row.index}
+                  className={row.include ? "hover:bg-gray-50" : "opacity-50"}
+                >
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <input
+                      type="checkbox"
+                      checked={row.include}
+                      disabled={row.errors.length > 0}
+                      onChange={(e) =>
+                        updateRow(row.index, { include: e.target.checked })
+                      }
+                    />
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    {row.expenseDate || "-"}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                    {row.name}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                    {formatAmount(row.amount)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                    <select
+                      value={row.budgetId}
+                      onChange={(e) =>
+                        updateRow(row.index, {
+                          budgetId: e.target.value,
+                          suggested: false,
+                        })
+                      }
+                      disabled={row.errors.length > 0}
+                      className="px-3 py-1 text-black border border-gray-300 rounded-lg"
+                    >
+                      <option value="">Select a Budget</option>
+                      {budgets.map((budget) => (
+                        <option key={budget.id} value={budget.id}>
+                          {budget.name} ({budget.budget_month}/
+                          {budget.budget_year})
+                        </option>
+                      ))}
+                    </select>
+                    {row.suggested && (
+                      <span className="ml-2 text-xs text-blue-600">
+                        Suggested
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    {row.errors.length > 0 && (
+                      <span className="text-red-700">
+                        {row.errors.join(", ")}
+                      </span>
+                    )}
+                    {row.duplicate && (
+                      <span className="inline-flex items-center text-amber-700">
+                        <AlertTriangle size={14} className="mr-1" /> Possible
+                        duplicate
+                      </span>
+                    )}
+                    {row.repeated && (
+                      <span className="inline-flex items-center text-amber-700">
+                        <AlertTriangle size={14} className="mr-1" /> Repeated in
+                        this file
+                      </span>
+                    )}
+                    {row.credit && row.errors.length === 0 && (
+                      <span className="inline-flex items-center text-amber-700">
+                        <AlertTriangle size={14} className="mr-1" /> Credit or
+                        refund, not an expense
+                      </span>
+                    )}
+                    {row.errors.length === 0 &&
+                      row.include &&
+                      !row.budgetId && (
+                        <span className="text-amber-700">Select a budget</span>
+                      )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {step === "report" && (
+        <ul className="space-y-2">
+          {results.map((row) => (
+            <li
+              key={row.index}
+              className={`p-3 rounded-lg shadow-md flex items-center ${
+                row.ok
+                  ? "bg-green-100 text-green-800"
+                  : "bg-red-100 text-red-800"
+              }`}
+            >
+              {row.ok ? (
+                <CheckCircle size={18} className="mr-2" />
+              ) : (
+                <XCircle size={18} className="mr-2" />
+              )}
+              {row.expenseDate} {row.name} ({formatAmount(row.amount)})
+              {!row.ok && `: ${row.error}`}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex justify-end space-x-3 mt-4">
+        {step !== "report" && (
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-5 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+            disabled={loading}
+          >
+            Cancel
+          </button>
+        )}
+        {step === "review" && (
+          <button
+            type="button"
+            onClick={() => setStep("map")}
+            className="px-5 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+            disabled={loading}
+          >
+            Back
+          </button>
+        )}
+        {step === "map" && (
+          <button
+            type="button"
+            onClick={handleReview}
+            className="px-5 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
+            disabled={!mappingComplete || dataRows.length === 0}
+          >
+            Review Rows
+          </button>
+        )}
+        {step === "review" && (
+          <button
+            type="button"
+            onClick={handleImport}
+            className="px-5 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
+            disabled={loading || selectedRows.length === 0}
+          >
+            {loading
+              ? "Importing..."
+              : `Import ${selectedRows.length} Realization${
+                  selectedRows.length === 1 ? "" : "s"
+                }`}
+          </button>
+        )}
+        {step === "report" && (
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-5 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+          >
+            Done
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- Recurring Expenses ---
+
+const RecurringRuleForm = ({ initialData, budgetNames, onSave, onCancel }) => {
+  const today = new Date();
+  const [description, setDescription] = useState(
+    initialData?.description || ""
+  );
+  const [amount, setAmount] = useState(initialData?.amount || "");
+  const [budgetName, setBudgetName] = useState(initialData?.budgetName || "");
+  const [dayOfMonth, setDayOfMonth] = useState(initialData?.dayOfMonth || 1);
+  const [frequency, setFrequency] = useState(
+    initialData?.frequency || "monthly"
+  );
+  const [startMonth, setStartMonth] = useState(
+    initialData?.startMonth ||
+      `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, "0")}`
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      id: initialData?.id,
+      description,
+      amount: parseFloat(amount),
+      budgetName,
+      dayOfMonth: parseInt(dayOfMonth),
+      frequency,
+      startMonth,
+    });
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-inner mb-6 border border-gray-200">
+      <h4 className="text-lg font-bold text-gray-800 mb-4">
+        {initialData ? "Edit Recurring Expense" : "Add Recurring Expense"}
+      </h4>
+      <form
+        onSubmit={handleSubmit}
+        className="grid grid-cols-1 md:grid-cols-2 gap-4"
+      >
+        <div>
+          <label className="block text-gray-700 text-sm font-semibold mb-2">
+            Description
+          </label>
+          <input
+            type="text"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder="e.g., Rent"
+            className="w-full px-4 py-2 text-black border border-gray-300 rounded-lg"
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-gray-700 text-sm font-semibold mb-2">
+            Amount
+          </label>
+          <input
+            type="number"
+            step="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className="w-full px-4 py-2 text-black border border-gray-300 rounded-lg"
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-gray-700 text-sm font-semibold mb-2">
+            Budget
+          </label>
+          <select
+            value={budgetName}
+            onChange={(e) => setBudgetName(e.target.value)}
+            className="w-full px-4 py-2 text-black border border-gray-300 rounded-lg"
+            required
+          >
+            <option value="">Select a Budget</option>
+            {budgetNames.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            Charged to the budget with this name in each month.
+          </p>
+        </div>
+        <div>
+          <label className="block text-gray-700 text-sm font-semibold mb-2">
+            Day of Month
+          </label>
+          <input
+            type="number"
+            value={dayOfMonth}
+            onChange={(e) => setDayOfMonth(e.target.value)}
+            min="1"
+            max="31"
+            className="w-full px-4 py-2 text-black border border-gray-300 rounded-lg"
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-gray-700 text-sm font-semibold mb-2">
+            Frequency
+          </label>
+          <select
+            value={frequency}
+            onChange={(e) => setFrequency(e.target.value)}
+            className="w-full px-4 py-2 text-black border border-gray-300 rounded-lg"
+          >
+            {FREQUENCIES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-700 text-sm font-semibold mb-2">
+            Starting Month
+          </label>
+          <input
+            type="month"
+            value={startMonth}
+            onChange={(e) => setStartMonth(e.target.value)}
+            className="w-full px-4 py-2 text-black border border-gray-300 rounded-lg"
+            required
+          />
+        </div>
+        <div className="col-span-1 md:col-span-2 flex justify-end space-x-3 mt-4">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-5 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-5 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+          >
+            {initialData ? "Update Recurring Expense" : "Add Recurring Expense"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// List and edit recurring expense rules
+const RecurringManager = ({
+  rules,
+  budgets,
+  onSaveRule,
+  onDeleteRule,
+  onClose,
+}) => {
+  const [editingRule, setEditingRule] = useState(null); // null, "new" or the rule being edited
+
+  const budgetNames = [...new Set(budgets.map((budget) => budget.name))].sort();
+
+  const handleSave = (ruleData) => {
+    onSaveRule(ruleData);
+    setEditingRule(null);
+  };
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-xl shadow-inner mb-6 border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800">Recurring Expenses</h3>
+        <div className="flex space-x-3">
+          <button
+            onClick={() => setEditingRule("new")}
+            className="flex items-center px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
+          >
+            <Plus size={18} className="mr-2" /> Add Recurring Expense
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+
+      <LocalDataNote what="Recurring expenses" />
+
+      {editingRule && (
+        <RecurringRuleForm
+          key={editingRule === "new" ? "new" : editingRule.id}
+          initialData={editingRule === "new" ? null : editingRule}
+          budgetNames={budgetNames}
+          onSave={handleSave}
+          onCancel={() => setEditingRule(null)}
+        />
+      )}
+
+      {rules.length === 0 ? (
+        <p className="text-gray-600 text-center py-4">
+          No recurring expenses yet. Add rent, utilities or subscriptions to
+          review them each month.
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-md">
+            <thead className="bg-gray-100 border-b border-gray-200">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                  Description
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                  Budget
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                  Amount
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                  Schedule
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {rules.map((rule) => (
+                <tr key={rule.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    {rule.description}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                    {rule.budgetName}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                    {formatAmount(rule.amount)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                    {
+                      FREQUENCIES.find(
+                        (option) => option.value === rule.frequency
+                      )?.label
+                    }{" "}
+                    on day {rule.dayOfMonth}, from {rule.startMonth}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => setEditingRule(rule)}
+                        className="text-blue-600 hover:text-blue-900 transition duration-150 ease-in-out"
+                        title="Edit Recurring Expense"
+                      >
+                        <Edit size={18} />
+                      </button>
+                      <button
+                        onClick={() => onDeleteRule(rule.id)}
+                        className="text-red-600 hover:text-red-900 transition duration-150 ease-in-out"
+                        title="Delete Recurring Expense"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Confirm due bills into realizations against the matching budget of each bill's month
+const RecurringReview = ({
+  dueOccurrences,
+  budgets,
+  onConfirm,
+  onSkip,
+  onClose,
+  loading,
+}) => {
+  const [rowEdits, setRowEdits] = useState({}); // row key -> { include?, amount?, expenseDate? }
+
+  const rows = dueOccurrences.map(({ rule, year, month }) => {
+    const key = `${rule.id}-${toMonthKey(year, month)}`;
+    const budget = budgets.find(
+      (candidate) =>
+        candidate.name === rule.budgetName &&
+        candidate.budget_month === month &&
+        candidate.budget_year === year
+    );
+    return {
+      key,
+      rule,
+      year,
+      month,
+      budget,
+      include: !!budget,
+      amount: rule.amount,
+      expenseDate: getOccurrenceDate(rule, year, month),
+      ...rowEdits[key],
+    };
+  });
+
+  const updateRow = (key, changes) => {
+    setRowEdits((current) => ({
+      ...current,
+      [key]: { ...current[key], ...changes },
+    }));
+  };
+
+  const selectedRows = rows.filter((row) => row.include && row.budget);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onConfirm(
+      selectedRows.map((row) => ({
+        ruleId: row.rule.id,
+        year: row.year,
+        month: row.month,
+        realizationData: {
+          expense_date: row.expenseDate,
+          name: row.rule.description,
+          budget_id: row.budget.id,
+          amount: parseFloat(row.amount),
+        },
+      }))
+    );
+  };
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-xl shadow-inner mb-6 border border-gray-200">
+      <h3 className="text-xl font-bold text-gray-800 mb-4">
+        Recurring Expenses Due
+      </h3>
+      {rows.length === 0 ? (
+        <p className="text-gray-600 text-center py-4">
+          All recurring expenses up to this month have been reviewed.
+        </p>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-md">
+              <thead className="bg-gray-100 border-b border-gray-200">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                    Add
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                    Description
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                    Date
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                    Amount
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rows.map((row) => (
+                  <tr
+                    key={row.key}
+                    className={
+                      row.include && row.budget
+                        ? "hover:bg-gray-50"
+                        : "opacity-50"
+                    }
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <input
+                        type="checkbox"
+                        checked={row.include && !!row.budget}
+                        onChange={(e) =>
+                          updateRow(row.key, { include: e.target.checked })
+                        }
+                        disabled={!row.budget}
+                      />
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {row.rule.description}
+                      <span className="block text-xs font-normal text-gray-500">
+                        {row.rule.budgetName}
+                      </span>
+                      {!row.budget && (
+                        <span className="inline-flex items-center text-xs font-semibold text-amber-700">
+                          <AlertTriangle size={14} className="mr-1" /> No "
+                          {row.rule.budgetName}" budget for {row.month}/
+                          {row.year}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                      <input
+                        type="date"
+                        value={row.expenseDate}
+                        onChange={(e) =>
+                          updateRow(row.key, {
+                            expenseDate: e.target.value,
+                          })
+                        }
+                        className="px-3 py-1 text-black border border-gray-300 rounded-lg"
+                        required={row.include}
+                        disabled={!row.include || !row.budget}
+                      />
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                      <input
+                        type="number"
+                        step="0.01"
+                        value={row.amount}
+                        onChange={(e) =>
+                          updateRow(row.key, { amount: e.target.value })
+                        }
+                        className="w-32 px-3 py-1 text-black border border-gray-300 rounded-lg"
+                        required={row.include}
+                        disabled={!row.include || !row.budget}
+                      />
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <button
+                        type="button"
+                        onClick={() => onSkip(row.rule.id, row.year, row.month)}
+                        className="text-gray-600 hover:text-gray-900 transition duration-150 ease-in-out"
+                        title="Skip this month"
+                        disabled={loading}
+                      >
+                        Skip
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-end space-x-3 mt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-5 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+              disabled={loading}
+            >
+              Later
+            </button>
+            <button
+              type="submit"
+              className="px-5 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
+              disabled={loading || selectedRows.length === 0}
+            >
+              {loading
+                ? "Adding..."
+                : `Add ${selectedRows.length} Expense${
+                    selectedRows.length === 1 ? "" : "s"
+                  }`}
+            </button>
+          </div>
+        </form>
+      )}
+      {rows.length === 0 && (
+        <div className="flex justify-end mt-4">
+          <button
+            onClick={onClose}
+            className="px-5 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+          >
+            Close
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Savings Goals ---
+
+const GoalForm = ({ initialData, budgetNames, onSave, onCancel }) => {
+  const today = new Date();
+  const [name, setName] = useState(initialData?.name || "");
+  const [target, setTarget] = useState(initialData?.target ?? "");
+  const [targetMonth, setTargetMonth] = useState(
+    initialData?.targetMonth ||
+      toMonthKey(today.getFullYear() + 1, today.getMonth() + 1)
+  );
+  const [monthlyContribution, setMonthlyContribution] = useState(
+    initialData?.monthlyContribution ?? ""
+  );
+  const [budgetName, setBudgetName] = useState(initialData?.budgetName || "");
+  const [errors, setErrors] = useState({});
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const formErrors = validateGoal({
+      name,
+      target,
+      targetMonth,
+      monthlyContribution,
+      budgetName,
+    });
+    setErrors(formErrors);
+    if (hasErrors(formErrors)) {
+      return;
+    }
+    onSave({
+      id: initialData?.id,
+      name: name.trim(),
+      target: parseFloat(target),
+      targetMonth,
+      monthlyContribution: parseFloat(monthlyContribution),
+      budgetName,
+    });
+  };
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-xl shadow-inner mb-6 border border-gray-200">
+      <h3 className="text-xl font-bold text-gray-800 mb-4">
+        {initialData ? "Edit Goal" : "Add Savings Goal"}
+      </h3>
+      <form
+        onSubmit={handleSubmit}
+        className="grid grid-cols-1 md:grid-cols-2 gap-4"
+        noValidate
+      >
+        <div>
+          <label
+            htmlFor="goalName"
+            className="block text-gray-700 text-sm font-semibold mb-2"
+          >
+            Goal
+          </label>
+          <input
+            type="text"
+            id="goalName"
+            value={name}
+            onChange={(e) => {
+              setName(e.target.value);
+              setErrors((current) => withoutError(current, "name"));
+            }}
+            placeholder="e.g., New roof"
+            className={`w-full px-4 py-2 border text-black rounded-lg ${getFieldBorder(
+              errors.name
+            )}`}
+            aria-invalid={!!errors.name}
+            aria-describedby="goalNameError"
+          />
+          <FieldError id="goalNameError" error={errors.name} />
+        </div>
+        <div>
+          <label
+            htmlFor="goalTarget"
+            className="block text-gray-700 text-sm font-semibold mb-2"
+          >
+            Target Amount
+          </label>
+          <input
+            type="number"
+            id="goalTarget"
+            step="0.01"
+            min="0"
+            value={target}
+            onChange={(e) => {
+              setTarget(e.target.value);
+              setErrors((current) => withoutError(current, "target"));
+            }}
+            className={`w-full px-4 py-2 border text-black rounded-lg ${getFieldBorder(
+              errors.target
+            )}`}
+            aria-invalid={!!errors.target}
+            aria-describedby="goalTargetError"
+          />
+          <FieldError id="goalTargetError" error={errors.target} />
+        </div>
+        <div>
+          <label
+            htmlFor="goalTargetMonth"
+            className="block text-gray-700 text-sm font-semibold mb-2"
+          >
+            Target Month
+          </label>
+          <input
+            type="month"
+            id="goalTargetMonth"
+            value={targetMonth}
+            onChange={(e) => {
+              setTargetMonth(e.target.value);
+              setErrors((current) => withoutError(current, "targetMonth"));
+            }}
+            className={`w-full px-4 py-2 border text-black rounded-lg ${getFieldBorder(
+              errors.targetMonth
+            )}`}
+            aria-invalid={!!errors.targetMonth}
+            aria-describedby="goalTargetMonthError"
+          />
+          <FieldError id="goalTargetMonthError" error={errors.targetMonth} />
+        </div>
+        <div>
+          <label
+            htmlFor="goalMonthlyContribution"
+            className="block text-gray-700 text-sm font-semibold mb-2"
+          >
+            Monthly Contribution
+          </label>
+          <input
+            type="number"
+            id="goalMonthlyContribution"
+            step="0.01"
+            min="0"
+            value={monthlyContribution}
+            onChange={(e) => {
+              setMonthlyContribution(e.target.value);
+              setErrors((current) =>
+                withoutError(current, "monthlyContribution")
+              );
+            }}
+            className={`w-full px-4 py-2 border text-black rounded-lg ${getFieldBorder(
+              errors.monthlyContribution
+            )}`}
+            aria-invalid={!!errors.monthlyContribution}
+            aria-describedby="goalMonthlyContributionError"
+          />
+          <FieldError
+            id="goalMonthlyContributionError"
+            error={errors.monthlyContribution}
+          />
+        </div>
+        <div>
+          <label
+            htmlFor="goalBudgetName"
+            className="block text-gray-700 text-sm font-semibold mb-2"
+          >
+            Savings Budget
+          </label>
+          <select
+            id="goalBudgetName"
+            value={budgetName}
+            onChange={(e) => {
+              setBudgetName(e.target.value);
+              setErrors((current) => withoutError(current, "budgetName"));
+            }}
+            className={`w-full px-4 py-2 border text-black rounded-lg ${getFieldBorder(
+              errors.budgetName
+            )}`}
+            aria-invalid={!!errors.budgetName}
+            aria-describedby="goalBudgetNameHint goalBudgetNameError"
+          >
+            <option value="">Select a Budget</option>
+            {budgetNames.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+          <p id="goalBudgetNameHint" className="text-xs text-gray-500 mt-1">
+            Every realization in the budget with this name counts toward the
+            goal, so give each goal a budget of its own.
+          </p>
+          <FieldError id="goalBudgetNameError" error={errors.budgetName} />
+        </div>
+        <div className="col-span-1 md:col-span-2 flex justify-end space-x-3 mt-4">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-5 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-5 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+          >
+            {initialData ? "Update Goal" : "Add Goal"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Record one contribution toward a goal, defaulting to the planned monthly amount
+const ContributionForm = ({ goal, loading, onSave, onCancel }) => {
+  const [amount, setAmount] = useState(goal.monthlyContribution || "");
+  const [date, setDate] = useState(getTodayIsoDate());
+  const [errors, setErrors] = useState({});
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const formErrors = validateContribution({ amount, date });
+    setErrors(formErrors);
+    if (!hasErrors(formErrors)) {
+      onSave(goal, parseFloat(amount), date);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mt-4 flex flex-wrap items-start gap-2"
+      noValidate
+    >
+      <div>
+        <input
+          type="number"
+          step="0.01"
+          min="0"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          className={`w-36 px-3 py-1 text-black border rounded-lg ${getFieldBorder(
+            errors.amount
+          )}`}
+          aria-label="Contribution amount"
+          aria-invalid={!!errors.amount}
+          aria-describedby={`contribution-${goal.id}-amount`}
+        />
+        <FieldError
+          id={`contribution-${goal.id}-amount`}
+          error={errors.amount}
+        />
+      </div>
+      <div>
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className={`px-3 py-1 text-black border rounded-lg ${getFieldBorder(
+            errors.date
+          )}`}
+          aria-label="Contribution date"
+          aria-invalid={!!errors.date}
+          aria-describedby={`contribution-${goal.id}-date`}
+        />
+        <FieldError id={`contribution-${goal.id}-date`} error={errors.date} />
+      </div>
+      <button
+        type="submit"
+        className="px-4 py-1 bg-green-500 hover:bg-green-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out disabled:opacity-50"
+        disabled={loading}
+      >
+        {loading ? "Saving..." : "Save Contribution"}
+      </button>
+      <button
+        type="button"
+        onClick={onCancel}
+        className="px-4 py-1 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+      >
+        Cancel
+      </button>
+    </form>
+  );
+};
+
+// Long-term savings targets. Contributions are realizations in a designated savings budget,
+// so they count toward that month's budget like any other spending, and a goal's progress is
+// whatever is booked there.
+const GoalsSection = ({ token, showMessage }) => {
+  const [goals, setGoals] = useState(loadGoals);
+  const [budgets, setBudgets] = useState([]);
+  const [realizations, setRealizations] = useState([]);
+  const [contributingId, setContributingId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const canEdit = canEditHousehold(useActiveHousehold());
+
+  // The open form is part of the URL: /goals/new or /goals/:id/edit
+  const { pathname } = useLocation();
+  const editMatch = matchPath("/goals/:id/edit", pathname);
+  const editingGoal = editMatch
+    ? goals.find((goal) => String(goal.id) === editMatch.id) || null
+    : null;
+  const isFormOpen = canEdit && (pathname === "/goals/new" || !!editingGoal);
+
+  // Viewers can't change anything, so a link to a form opens the list
+  useEffect(() => {
+    if (!canEdit && pathname !== "/goals") {
+      showMessage(VIEW_ONLY_MESSAGE, "error");
+      navigate("/goals", { replace: true });
+    }
+  }, [canEdit, pathname, showMessage]);
+
+  const fetchData = useCallback(async () => {
+    try {
+      const [budgetData, realizationData] = await Promise.all([
+        cachedGet("/budgets/", token),
+        cachedGet("/realizations/", token),
+      ]);
+      setBudgets(budgetData || []);
+      setRealizations(realizationData || []);
+    } catch (error) {
+      showMessage(error.message || "Failed to fetch goal progress.", "error");
+    }
+  }, [token, showMessage]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const budgetNames = [...new Set(budgets.map((budget) => budget.name))].sort();
+  const goalsWithContributions = goals.map((goal) => ({
+    ...goal,
+    contributions: getContributions(goal, budgets, realizations),
+  }));
+
+  const updateGoals = (next) => {
+    saveGoals(next);
+    setGoals(next);
+  };
+
+  const handleSaveGoal = (goalData) => {
+    updateGoals(
+      goalData.id
+        ? goals.map((goal) =>
+            goal.id === goalData.id ? { ...goal, ...goalData } : goal
+          )
+        : [...goals, { ...goalData, id: Date.now() }]
+    );
+    showMessage("Goal saved!", "success");
+    navigate("/goals");
+  };
+
+  const handleDeleteGoal = async (goal) => {
+    const confirmed = await confirmAction({
+      title: "Delete Goal",
+      message: `Delete the goal "${goal.name}"? Its ${goal.contributions.length} contributions stay in the "${goal.budgetName}" budget.`,
+    });
+    if (confirmed) {
+      updateGoals(goals.filter((g) => g.id !== goal.id));
+      showMessage("Goal deleted successfully!", "success");
+    }
+  };
+
+  const handleContribute = async (goal, amount, date) => {
+    const budget = getBudgetsForDate(budgets, date).find(
+      (b) => b.name === goal.budgetName
+    );
+    if (!budget) {
+      showMessage(
+        `There is no "${goal.budgetName}" budget for ${date.slice(
+          0,
+          7
+        )}. Create it first.`,
+        "error"
+      );
+      return;
+    }
+    setLoading(true);
+    try {
+      const created = await apiCall(
+        "/realizations/",
+        "POST",
+        {
+          expense_date: date,
+          name: `Savings: ${goal.name}`,
+          budget_id: budget.id,
+          amount,
+        },
+        token
+      );
+      setRealizations((current) => [...current, created]);
+      const entry = recordActivity({
+        entity: "realization",
+        action: "create",
+        after: created,
+      });
+      showMessage(
+        `Added ${formatAmount(amount)} to "${goal.name}".`,
+        "success",
+        getUndoAction(entry, token, showMessage, fetchData)
+      );
+      setContributingId(null);
+    } catch (error) {
+      showMessage(error.message || "Failed to save contribution.", "error");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+        <PiggyBank size={24} className="mr-2" /> Savings Goals
+      </h2>
+
+      <LocalDataNote what="Savings goals" />
+
+      {canEdit && !isFormOpen && (
+        <div className="mb-6">
+          <button
+            onClick={() => navigate("/goals/new")}
+            className="flex items-center px-5 py-2 bg-green-500 hover:bg-green-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+          >
+            <Plus size={20} className="mr-2" /> Add New Goal
+          </button>
+        </div>
+      )}
+
+      {isFormOpen && (
+        <GoalForm
+          key={editingGoal?.id ?? "new"}
+          initialData={editingGoal}
+          budgetNames={budgetNames}
+          onSave={handleSaveGoal}
+          onCancel={() => navigate("/goals")}
+        />
+      )}
+
+      {goals.length === 0 && !isFormOpen && (
+        <p className="text-gray-600 text-center py-4">
+          No savings goals yet. Add one to plan for bigger expenses like a new
+          roof or a holiday.
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {goalsWithContributions.map((goal) => {
+          const saved = getSavedAmount(goal);
+          const percent = Math.min(100, (saved / goal.target) * 100);
+          const status = getGoalStatus(goal);
+          const projected = getProjectedCompletion(goal);
+          const required = getRequiredMonthly(goal);
+          return (
+            <div
+              key={goal.id}
+              className="p-4 rounded-xl border border-gray-200 bg-gray-50"
+            >
+              <div className="flex items-start justify-between">
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-800">
+                    {goal.name}
+                  </h3>
+                  <p className="text-sm text-gray-600">
+                    {formatAmount(goal.target)} by{" "}
+                    {formatMonthKey(goal.targetMonth)} &middot;{" "}
+                    {goal.budgetName}
+                  </p>
+                </div>
+                <span
+                  className={`px-3 py-1 rounded-full text-xs font-semibold ${GOAL_STATUSES[status].className}`}
+                >
+                  {GOAL_STATUSES[status].label}
+                </span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-3 mt-3">
+                <div
+                  className="bg-green-500 h-3 rounded-full"
+                  style={{ width: `${percent}%` }}
+                />
+              </div>
+              <p className="text-sm text-gray-700 mt-2">
+                {formatAmount(saved)} saved ({percent.toFixed(0)}%),{" "}
+                {formatAmount(getRemainingAmount(goal))} to go
+              </p>
+              <ul className="text-sm text-gray-600 mt-2 space-y-1">
+                <li>
+                  Planned: {formatAmount(goal.monthlyContribution)} per month
+                </li>
+                {status !== "complete" && (
+                  <li>
+                    Projected completion:{" "}
+                    {projected
+                      ? formatMonthKey(projected)
+                      : "never at the planned contribution"}
+                  </li>
+                )}
+                {status === "behind" && (
+                  <li className="text-red-700">
+                    {required === null
+                      ? "The target month has passed."
+                      : `Needs ${formatAmount(
+                          required
+                        )} per month to finish on time.`}
+                  </li>
+                )}
+              </ul>
+              {canEdit && contributingId === goal.id && (
+                <ContributionForm
+                  goal={goal}
+                  loading={loading}
+                  onSave={handleContribute}
+                  onCancel={() => setContributingId(null)}
+                />
+              )}
+              {canEdit && contributingId !== goal.id && (
+                <div className="mt-4 flex space-x-3">
+                  {status !== "complete" && (
+                    <button
+                      onClick={() => setContributingId(goal.id)}
+                      className="flex items-center px-4 py-1 bg-green-500 hover:bg-green-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
+                    >
+                      <Plus size={16} className="mr-1" /> Contribute
+                    </button>
+                  )}
+                  <button
+                    onClick={() => navigate(`/goals/${goal.id}/edit`)}
+                    className="text-blue-600 hover:text-blue-900 transition duration-150 ease-in-out"
+                    title="Edit Goal"
+                  >
+                    <Edit size={18} />
+                  </button>
+                  <button
+                    onClick={() => handleDeleteGoal(goal)}
+                    className="text-red-600 hover:text-red-900 transition duration-150 ease-in-out"
+                    title="Delete Goal"
+                  >
+                    <Trash2 size={18} />
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// --- Cash Flow ---
+
+const IncomeForm = ({ initialData, onSave, onCancel }) => {
+  const [date, setDate] = useState(initialData?.date || getTodayIsoDate());
+  const [source, setSource] = useState(initialData?.source || "");
+  const [amount, setAmount] = useState(initialData?.amount ?? "");
+  const [errors, setErrors] = useState({});
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const formErrors = validateIncome({ date, source, amount });
+    setErrors(formErrors);
+    if (!hasErrors(formErrors)) {
+      onSave({
+        id: initialData?.id,
+        date,
+        source: source.trim(),
+        amount: parseFloat(amount),
+      });
+    }
+  };
+
+  const inputClass = (error) =>
+    `w-full px-4 py-2 text-black border rounded-lg ${getFieldBorder(error)}`;
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-xl shadow-inner mb-6 border border-gray-200">
+      <h3 className="text-xl font-bold text-gray-800 mb-4">
+        {initialData ? "Edit Income" : "Add Income"}
+      </h3>
+      <form
+        onSubmit={handleSubmit}
+        className="grid grid-cols-1 md:grid-cols-3 gap-4"
+        noValidate
+      >
+        <div>
+          <label
+            htmlFor="incomeDate"
+            className="block text-gray-700 text-sm font-semibold mb-2"
+          >
+            Date
+          </label>
+          <input
+            type="date"
+            id="incomeDate"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            className={inputClass(errors.date)}
+            aria-invalid={!!errors.date}
+            aria-describedby="incomeDateError"
+          />
+          <FieldError id="incomeDateError" error={errors.date} />
+        </div>
+        <div>
+          <label
+            htmlFor="incomeSource"
+            className="block text-gray-700 text-sm font-semibold mb-2"
+          >
+            Source
+          </label>
+          <input
+            type="text"
+            id="incomeSource"
+            value={source}
+            onChange={(e) => setSource(e.target.value)}
+            placeholder="e.g., Salary"
+            className={inputClass(errors.source)}
+            aria-invalid={!!errors.source}
+            aria-describedby="incomeSourceError"
+          />
+          <FieldError id="incomeSourceError" error={errors.source} />
+        </div>
+        <div>
+          <label
+            htmlFor="incomeAmount"
+            className="block text-gray-700 text-sm font-semibold mb-2"
+          >
+            Amount
+          </label>
+          <input
+            type="number"
+            id="incomeAmount"
+            step="0.01"
+            min="0"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className={inputClass(errors.amount)}
+            aria-invalid={!!errors.amount}
+            aria-describedby="incomeAmountError"
+          />
+          <FieldError id="incomeAmountError" error={errors.amount} />
+        </div>
+        <div className="col-span-1 md:col-span-3 flex justify-end space-x-3 mt-4">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-5 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-5 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+          >
+            {initialData ? "Update Income" : "Add Income"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Signed amounts: green when money is left over, red when short
+const getBalanceClass = (value) =>
+  value < 0 ? "text-red-700 font-semibold" : "text-green-700 font-semibold";
+
+// Income entries and, per month of a year, income against budget limits and realized spending
+const CashFlowSection = ({ token, showMessage }) => {
+  const [budgets, setBudgets] = useState([]);
+  const [incomeEntries, setIncomeEntries] = useState(loadIncome);
+  const [editingIncome, setEditingIncome] = useState(null); // null, "new" or the entry being edited
+  const [loading, setLoading] = useState(false);
+  const [selectedYear, setSelectedYear] = useQueryParam(
+    "year",
+    String(new Date().getFullYear())
+  );
+  const canEdit = canEditHousehold(useActiveHousehold());
+  const year = parseInt(selectedYear);
+
+  useEffect(() => {
+    setLoading(true);
+    cachedGet("/budgets/", token)
+      .then((data) => setBudgets(data || []))
+      .catch((error) =>
+        showMessage(error.message || "Failed to fetch budgets.", "error")
+      )
+      .finally(() => setLoading(false));
+  }, [token, showMessage]);
+
+  const updateIncome = (next) => {
+    saveIncome(next);
+    setIncomeEntries(next);
+  };
+
+  const handleSaveIncome = (entryData) => {
+    updateIncome(
+      entryData.id
+        ? incomeEntries.map((entry) =>
+            entry.id === entryData.id ? entryData : entry
+          )
+        : [...incomeEntries, { ...entryData, id: Date.now() }]
+    );
+    setEditingIncome(null);
+    showMessage("Income saved!", "success");
+  };
+
+  const handleDeleteIncome = async (entry) => {
+    const confirmed = await confirmAction({
+      title: "Delete Income",
+      message: `Delete "${entry.source}" (${formatAmount(entry.amount)} on ${
+        entry.date
+      })?`,
+    });
+    if (confirmed) {
+      updateIncome(incomeEntries.filter((e) => e.id !== entry.id));
+      showMessage("Income deleted successfully!", "success");
+    }
+  };
+
+  const months = Array.from({ length: 12 }, (_, i) => ({
+    id: i + 1,
+    ...getCashFlow(incomeEntries, budgets, year, i + 1),
+  }));
+  const yearEntries = incomeEntries.filter((entry) =>
+    entry.date.startsWith(`${year}-`)
+  );
+
+  const cashFlowColumns = [
+    {
+      key: "month",
+      label: "Month",
+      format: (month) => MONTH_NAMES[month - 1],
+    },
+    { key: "income", label: "Income", format: formatAmount, total: true },
+    { key: "budgeted", label: "Budgeted", format: formatAmount, total: true },
+    { key: "realized", label: "Realized", format: formatAmount, total: true },
+    {
+      key: "net",
+      label: "Income − Realized",
+      format: formatAmount,
+      render: (row) => (
+        <span className={getBalanceClass(row.net)}>
+          {formatAmount(row.net)}
+        </span>
+      ),
+      total: true,
+    },
+    {
+      key: "leftToBudget",
+      label: "Left to Budget",
+      format: formatAmount,
+      render: (row) => (
+        <span className={getBalanceClass(row.leftToBudget)}>
+          {formatAmount(row.leftToBudget)}
+        </span>
+      ),
+      total: true,
+    },
+  ];
+
+  const incomeColumns = [
+    { key: "date", label: "Date" },
+    { key: "source", label: "Source", searchable: true },
+    { key: "amount", label: "Amount", format: formatAmount, total: true },
+    ...(canEdit
+      ? [
+          {
+            key: "actions",
+            label: "Actions",
+            sortable: false,
+            render: (entry) => (
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => setEditingIncome(entry)}
+                  className="text-blue-600 hover:text-blue-900 transition duration-150 ease-in-out"
+                  title="Edit Income"
+                >
+                  <Edit size={18} />
+                </button>
+                <button
+                  onClick={() => handleDeleteIncome(entry)}
+                  className="text-red-600 hover:text-red-900 transition duration-150 ease-in-out"
+                  title="Delete Income"
+                >
+                  <Trash2 size={18} />
+                </button>
+              </div>
+            ),
+          },
+        ]
+      : []),
+  ];
+
+  return (
     <div className="bg-white p-6 rounded-xl shadow-lg">
       <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
-        <ListTodo size={24} className="mr-2" /> Your Realizations
+        <Wallet size={24} className="mr-2" /> Cash Flow
       </h2>
 
-      <button
-        onClick={handleAddClick}
-        className="mb-6 flex items-center px-5 py-2 bg-green-500 hover:bg-green-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
-      >
-        <Plus size={20} className="mr-2" /> Add New Realization
-      </button>
+      <LocalDataNote what="Income entries" />
 
-      {isFormOpen && (
-        <RealizationForm
-          onSave={handleSaveRealization}
-          onCancel={() => setIsFormOpen(false)}
-          initialData={editingRealization}
-          budgets={budgets} // Pass budgets for dropdown
-          loading={loading}
+      <div className="mb-6 p-4 bg-gray-50 rounded-lg shadow-inner flex items-center space-x-4">
+        <label htmlFor="cashFlowYear" className="text-sm text-gray-600">
+          Year:
+        </label>
+        <input
+          type="number"
+          id="cashFlowYear"
+          value={selectedYear}
+          onChange={(e) => setSelectedYear(e.target.value)}
+          min={MIN_YEAR}
+          max={MAX_YEAR}
+          className="w-28 px-3 py-1 text-black border border-gray-300 rounded-lg"
+        />
+      </div>
+
+      {loading ? (
+        <p className="text-blue-600 text-center py-4">Loading budgets...</p>
+      ) : (
+        <div className="mb-8">
+          <DataTable rows={months} columns={cashFlowColumns} />
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-gray-800">
+          Income in {selectedYear}
+        </h3>
+        {canEdit && !editingIncome && (
+          <button
+            onClick={() => setEditingIncome("new")}
+            className="flex items-center px-5 py-2 bg-green-500 hover:bg-green-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+          >
+            <Plus size={20} className="mr-2" /> Add Income
+          </button>
+        )}
+      </div>
+
+      {editingIncome && (
+        <IncomeForm
+          key={editingIncome === "new" ? "new" : editingIncome.id}
+          initialData={editingIncome === "new" ? null : editingIncome}
+          onSave={handleSaveIncome}
+          onCancel={() => setEditingIncome(null)}
+        />
+      )}
+
+      {yearEntries.length === 0 ? (
+        <p className="text-gray-600 text-center py-4">
+          No income recorded for {selectedYear}. Add salaries and other income
+          to see how much is left to budget.
+        </p>
+      ) : (
+        <DataTable
+          rows={yearEntries}
+          columns={incomeColumns}
+          defaultSort={{ key: "date", direction: "desc" }}
+          searchPlaceholder="Search income by source..."
+        />
+      )}
+    </div>
+  );
+};
+
+// --- History ---
+
+const ACTIVITY_LABELS = {
+  create: "Created",
+  update: "Updated",
+  delete: "Deleted",
+};
+
+const FIELD_LABELS = {
+  name: "Name",
+  limit: "Limit",
+  budget_month: "Month",
+  budget_year: "Year",
+  amount: "Amount",
+  expense_date: "Date",
+  budget_id: "Budget",
+};
+
+// Recent budget and realization changes made from this browser in the active household, each of
+// which can be undone
+const HistorySection = ({ token, showMessage }) => {
+  const household = useActiveHousehold();
+  const entries = useActivityLog();
+  const [undoingId, setUndoingId] = useState(null);
+
+  const handleUndo = async (entry) => {
+    setUndoingId(entry.id);
+    try {
+      if (await confirmAndUndo(entry, token)) {
+        showMessage("Change undone.", "success");
+      }
+    } catch (error) {
+      showMessage(error.message || "Failed to undo change.", "error");
+    } finally {
+      setUndoingId(null);
+    }
+  };
+
+  const handleClear = async () => {
+    const confirmed = await confirmAction({
+      title: "Clear History",
+      message: `Clear ${entries.length} recorded changes? They can no longer be undone.`,
+      confirmLabel: "Clear",
+    });
+    if (!confirmed) {
+      return;
+    }
+    clearActivityLog();
+  };
+
+  const formatField = (field, value) =>
+    field === "limit" || field === "amount" ? formatAmount(value) : value;
+
+  const describeChange = (entry) => {
+    if (entry.action === "update") {
+      const changes = getChangedFields(entry);
+      return changes.length > 0
+        ? changes
+            .map(
+              ({ field, before, after }) =>
+                `${FIELD_LABELS[field]}: ${formatField(
+                  field,
+                  before
+                )} → ${formatField(field, after)}`
+            )
+            .join(", ")
+        : "No changes";
+    }
+    const item = entry.before || entry.after;
+    const amount =
+      entry.entity === "budget"
+        ? `limit ${formatAmount(item.limit)}, ${item.budget_month}/${
+            item.budget_year
+          }`
+        : `${formatAmount(item.amount)} on ${item.expense_date}`;
+    return entry.related.length > 0
+      ? `${amount}, with ${entry.related.length} realizations`
+      : amount;
+  };
+
+  const columns = [
+    {
+      key: "at",
+      label: "When",
+      format: (value) => new Date(value).toLocaleString(),
+    },
+    {
+      key: "action",
+      label: "Change",
+      value: (entry) =>
+        `${ACTIVITY_LABELS[entry.action]} ${entry.entity}${
+          entry.undoOf ? " (undo)" : ""
+        }`,
+    },
+    {
+      key: "name",
+      label: "Item",
+      value: (entry) => (entry.after || entry.before)?.name || "",
+      searchable: true,
+    },
+    {
+      key: "details",
+      label: "Details",
+      sortable: false,
+      value: describeChange,
+    },
+    {
+      key: "actions",
+      label: "",
+      sortable: false,
+      render: (entry) =>
+        entry.undoneAt ? (
+          <span className="text-gray-500 italic">Undone</span>
+        ) : (
+          <button
+            onClick={() => handleUndo(entry)}
+            disabled={undoingId !== null}
+            className="flex items-center text-blue-600 hover:text-blue-900 disabled:opacity-50 transition duration-150 ease-in-out"
+            title="Undo this change"
+          >
+            <RotateCcw size={16} className="mr-1" /> Undo
+          </button>
+        ),
+    },
+  ];
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+          <History size={24} className="mr-2" /> Recent Changes
+        </h2>
+        {entries.length > 0 && (
+          <button
+            onClick={handleClear}
+            className="px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+          >
+            Clear History
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Budget and realization changes made in this browser, for{" "}
+        {household ? household.name : "your personal budgets"}. Undoing a
+        deletion recreates the item with a new id; undoing a budget's creation
+        also deletes its realizations.
+      </p>
+      {entries.length === 0 ? (
+        <p className="text-gray-600 text-center py-4">No changes yet.</p>
+      ) : (
+        <DataTable
+          rows={entries}
+          columns={columns}
+          defaultSort={{ key: "at", direction: "desc" }}
+          searchPlaceholder="Search changes..."
+          rowClassName={(entry) => (entry.undoneAt ? "opacity-60" : "")}
         />
       )}
+    </div>
+  );
+};
+
+// --- Household ---
+
+// Shared households: create one, invite members with a role and switch between the
+// household's budgets and personal budgets
+const HouseholdSection = ({ token, showMessage, username }) => {
+  const [households, setHouseholds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [unsupported, setUnsupported] = useState(false);
+  const [newName, setNewName] = useState("");
+  const [invite, setInvite] = useState({ username: "", role: "editor" });
+  const active = useActiveHousehold();
+  const { queue } = useOfflineState();
+
+  const loadHouseholds = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await fetchHouseholds(token);
+      setHouseholds(data || []);
+      setUnsupported(false);
+      // Keep the active household's role and member list current
+      const current = (data || []).find(
+        (h) => h.id === getActiveHousehold()?.id
+      );
+      if (current) {
+        setActiveHousehold(current, username);
+      }
+    } catch (error) {
+      if (error.status === 404) {
+        setUnsupported(true);
+      } else {
+        showMessage(error.message || "Failed to fetch households.", "error");
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [token, username, showMessage]);
+
+  useEffect(() => {
+    loadHouseholds();
+  }, [loadHouseholds]);
+
+  // Unsynced offline changes belong to the current household; switching would send them to another one
+  const handleSwitch = (household) => {
+    if (queue.length > 0) {
+      showMessage(
+        "Sync your offline changes before switching households.",
+        "error"
+      );
+      return;
+    }
+    setActiveHousehold(household, username);
+    showMessage(
+      household
+        ? `Now using the "${household.name}" household.`
+        : "Now using your personal budgets.",
+      "success"
+    );
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      await createHousehold(newName.trim(), token);
+      showMessage("Household created!", "success");
+      setNewName("");
+      loadHouseholds();
+    } catch (error) {
+      showMessage(error.message || "Failed to create household.", "error");
+    }
+  };
+
+  const handleInvite = async (e, household) => {
+    e.preventDefault();
+    try {
+      await inviteMember(
+        household.id,
+        invite.username.trim(),
+        invite.role,
+        token
+      );
+      showMessage(`${invite.username} was added to the household.`, "success");
+      setInvite({ username: "", role: "editor" });
+      loadHouseholds();
+    } catch (error) {
+      showMessage(error.message || "Failed to invite member.", "error");
+    }
+  };
+
+  const handleRoleChange = async (household, member, role) => {
+    try {
+      await updateMemberRole(household.id, member, role, token);
+      loadHouseholds();
+    } catch (error) {
+      showMessage(error.message || "Failed to change role.", "error");
+    }
+  };
+
+  const handleRemove = async (household, member) => {
+    const confirmed = await confirmAction({
+      title: "Remove Member",
+      message: `Remove ${member} from "${household.name}"? They will no longer see the household's budgets.`,
+      confirmLabel: "Remove",
+    });
+    if (!confirmed) {
+      return;
+    }
+    try {
+      await removeMember(household.id, member, token);
+      showMessage(`${member} was removed from the household.`, "success");
+      if (member === username && active?.id === household.id) {
+        setActiveHousehold(null);
+      }
+      loadHouseholds();
+    } catch (error) {
+      showMessage(error.message || "Failed to remove member.", "error");
+    }
+  };
+
+  const inputClass = "px-3 py-1 text-black border border-gray-300 rounded-lg";
+
+  if (loading && households.length === 0) {
+    return (
+      <p className="text-blue-600 text-center py-4">Loading households...</p>
+    );
+  }
+
+  if (unsupported) {
+    return (
+      <div className="max-w-xl mx-auto bg-white p-6 rounded-xl shadow-lg">
+        <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
+          <Users size={24} className="mr-2" /> Household
+        </h2>
+        <p className="text-gray-600">
+          This server doesn't support shared households yet.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white p-6 rounded-xl shadow-lg">
+        <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
+          <Users size={24} className="mr-2" /> Household
+        </h2>
+        <p className="text-gray-600 mb-4">
+          {active
+            ? `You are working in the "${active.name}" household as ${
+                ROLES.find((role) => role.value === active.role)?.label ||
+                active.role
+              }.`
+            : "You are working on your personal budgets."}
+        </p>
+        <div className="flex flex-wrap items-center gap-3">
+          {active && (
+            <button
+              onClick={() => handleSwitch(null)}
+              className="px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+            >
+              Use Personal Budgets
+            </button>
+          )}
+          <form
+            onSubmit={handleCreate}
+            className="flex items-center space-x-2 ml-auto"
+          >
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="e.g., Smith Family"
+              className={inputClass}
+              required
+            />
+            <button
+              type="submit"
+              className="flex items-center px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
+            >
+              <Plus size={18} className="mr-1" /> Create Household
+            </button>
+          </form>
+        </div>
+      </div>
+
+      {households.length === 0 && (
+        <p className="text-gray-600 text-center py-4">
+          You are not a member of any household yet.
+        </p>
+      )}
+
+      {households.map((household) => {
+        const isOwner = getMemberRole(household, username) === "owner";
+        return (
+          <div key={household.id} className="bg-white p-6 rounded-xl shadow-lg">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xl font-semibold text-gray-800">
+                {household.name}
+              </h3>
+              {active?.id === household.id ? (
+                <span className="px-3 py-1 rounded-full bg-green-100 text-green-800 text-sm">
+                  In use
+                </span>
+              ) : (
+                <button
+                  onClick={() => handleSwitch(household)}
+                  className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
+                >
+                  Use This Household
+                </button>
+              )}
+            </div>
+            <table className="min-w-full divide-y divide-gray-200 mb-4">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Member
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Role
+                  </th>
+                  {isOwner && <th className="px-4 py-2" />}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {household.members.map((member) => (
+                  <tr key={member.username}>
+                    <td className="px-4 py-2 text-gray-800">
+                      {member.username}
+                      {member.username === username && (
+                        <span className="ml-2 text-xs text-gray-500">
+                          (you)
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2">
+                      {isOwner && member.username !== username ? (
+                        <select
+                          value={member.role}
+                          onChange={(e) =>
+                            handleRoleChange(
+                              household,
+                              member.username,
+                              e.target.value
+                            )
+                          }
+                          className={inputClass}
+                        >
+                          {ROLES.map((role) => (
+                            <option key={role.value} value={role.value}>
+                              {role.label}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className="text-gray-700">
+                          {ROLES.find((role) => role.value === member.role)
+                            ?.label || member.role}
+                        </span>
+                      )}
+                    </td>
+                    {isOwner && (
+                      <td className="px-4 py-2 text-right">
+                        {member.username !== username && (
+                          <button
+                            onClick={() =>
+                              handleRemove(household, member.username)
+                            }
+                            className="text-red-600 hover:text-red-900 transition duration-150 ease-in-out"
+                            title="Remove Member"
+                          >
+                            <Trash2 size={18} />
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {isOwner && (
+              <form
+                onSubmit={(e) => handleInvite(e, household)}
+                className="flex flex-wrap items-center gap-2"
+              >
+                <input
+                  type="text"
+                  value={invite.username}
+                  onChange={(e) =>
+                    setInvite({ ...invite, username: e.target.value })
+                  }
+                  placeholder="Username"
+                  className={inputClass}
+                  required
+                />
+                <select
+                  value={invite.role}
+                  onChange={(e) =>
+                    setInvite({ ...invite, role: e.target.value })
+                  }
+                  className={inputClass}
+                >
+                  {ROLES.map((role) => (
+                    <option key={role.value} value={role.value}>
+                      {role.label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="submit"
+                  className="flex items-center px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
+                >
+                  <Plus size={18} className="mr-1" /> Invite Member
+                </button>
+              </form>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// --- Settings ---
+
+const SettingsSection = ({ showMessage }) => {
+  const { currency, locale } = useCurrencySettings();
+
+  const handleChange = (changes) => {
+    saveCurrencySettings(changes);
+    showMessage("Settings saved!", "success");
+  };
+
+  // Stored amounts are plain numbers, so a new base currency relabels them without converting
+  const handleCurrencyChange = async (nextCurrency) => {
+    const confirmed = await confirmAction({
+      title: "Change Base Currency",
+      message: `Existing budgets and realizations are not converted: ${formatAmount(
+        100
+      )} will show as ${formatAmount(
+        100,
+        nextCurrency
+      )}. Only change the base currency if your amounts were entered in ${nextCurrency} or you are starting fresh. Saved exchange rates will be cleared.`,
+      confirmLabel: `Use ${nextCurrency}`,
+    });
+    if (confirmed) {
+      handleChange({ currency: nextCurrency });
+    }
+  };
+
+  return (
+    <div className="max-w-xl mx-auto bg-white p-6 rounded-xl shadow-lg">
+      <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
+        <Settings size={24} className="mr-2" /> Settings
+      </h2>
+      <div className="space-y-4">
+        <div>
+          <label
+            htmlFor="baseCurrency"
+            className="block text-gray-700 text-sm font-semibold mb-2"
+          >
+            Base Currency
+          </label>
+          <select
+            id="baseCurrency"
+            value={currency}
+            onChange={(e) => handleCurrencyChange(e.target.value)}
+            className="w-full px-4 py-2 text-black border border-gray-300 rounded-lg"
+          >
+            {CURRENCIES.map((code) => (
+              <option key={code} value={code}>
+                {code}
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            Budgets and realizations are recorded in this currency.
+          </p>
+        </div>
+        <div>
+          <label
+            htmlFor="locale"
+            className="block text-gray-700 text-sm font-semibold mb-2"
+          >
+            Number Format
+          </label>
+          <select
+            id="locale"
+            value={locale}
+            onChange={(e) => handleChange({ locale: e.target.value })}
+            className="w-full px-4 py-2 text-black border border-gray-300 rounded-lg"
+          >
+            {!LOCALES.some((option) => option.value === locale) && (
+              <option value={locale}>{locale}</option>
+            )}
+            {LOCALES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            Example: {formatAmount(1234567.89)}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- Quick Add ---
+
+// Standalone "add expense" page, opened from the installed app's shortcut
+const QuickAddSection = ({ token, showMessage }) => {
+  const canEdit = canEditHousehold(useActiveHousehold());
+  const [budgets, setBudgets] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [formKey, setFormKey] = useState(0); // Bumped to reset the form after each save
+
+  useEffect(() => {
+    cachedGet("/budgets/", token)
+      .then((data) => setBudgets(data || []))
+      .catch((error) => {
+        showMessage(error.message || "Failed to fetch budgets.", "error");
+        setBudgets([]);
+      });
+  }, [token, showMessage]);
+
+  const handleSave = async (realizationData, foreign) => {
+    setLoading(true);
+    try {
+      rememberLastBudget(realizationData.budget_id);
+      const result = await queuedMutation(
+        "/realizations/",
+        "POST",
+        realizationData,
+        token,
+        { foreign }
+      );
+      if (!result?.queued) {
+        saveForeignAmount(result.id, foreign);
+      }
+      if (result?.queued) {
+        showMessage(
+          "Saved offline. The expense will sync when back online.",
+          "success"
+        );
+      } else {
+        const entry = recordActivity({
+          entity: "realization",
+          action: "create",
+          after: result,
+        });
+        showMessage(
+          "Expense added!",
+          "success",
+          getUndoAction(entry, token, showMessage, () => {})
+        );
+      }
+      setFormKey((key) => key + 1);
+    } catch (error) {
+      const fieldErrors = getServerFieldErrors(error, REALIZATION_FIELDS);
+      if (fieldErrors) {
+        return fieldErrors;
+      }
+      showMessage(error.message || "Failed to save expense.", "error");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!canEdit) {
+    return (
+      <p className="text-gray-600 text-center py-4">
+        {VIEW_ONLY_MESSAGE} Ask an owner for editor access to add expenses.
+      </p>
+    );
+  }
+
+  if (!budgets) {
+    return <p className="text-blue-600 text-center py-4">Loading budgets...</p>;
+  }
+
+  return (
+    <div className="max-w-md mx-auto">
+      <RealizationForm
+        key={formKey}
+        onSave={handleSave}
+        onCancel={() => navigate("/realizations")}
+        initialData={null}
+        budgets={budgets}
+        loading={loading}
+        compact
+        defaultBudgetId={getDefaultBudgetId(budgets)}
+      />
+    </div>
+  );
+};
+
+// --- Dashboard Section ---
+
+const NEAR_LIMIT_THRESHOLD = 80; // Percent used at which a budget is flagged as near its limit
+
+// Derive progress figures for a budget from its limit and realized total
+const getBudgetProgress = (limit, realized) => {
+  const limitValue = Number(limit) || 0;
+  const realizedValue = Number(realized) || 0;
+  const percentUsed =
+    limitValue > 0
+      ? (realizedValue / limitValue) * 100
+      : realizedValue > 0
+      ? 100
+      : 0;
+  let status = "ok";
+  if (realizedValue > limitValue) {
+    status = "over";
+  } else if (percentUsed >= NEAR_LIMIT_THRESHOLD) {
+    status = "near";
+  }
+  return {
+    limit: limitValue,
+    realized: realizedValue,
+    remaining: limitValue - realizedValue,
+    percentUsed,
+    status,
+  };
+};
+
+const PROGRESS_STYLES = {
+  ok: { bar: "bg-green-500", text: "text-green-700" },
+  near: { bar: "bg-amber-500", text: "text-amber-700" },
+  over: { bar: "bg-red-500", text: "text-red-700" },
+};
+
+const ProgressBar = ({ percentUsed, status }) => (
+  <div className="w-full h-3 bg-gray-200 rounded-full overflow-hidden">
+    <div
+      className={`h-full rounded-full transition-all duration-300 ${PROGRESS_STYLES[status].bar}`}
+      style={{ width: `${Math.min(percentUsed, 100)}%` }}
+    />
+  </div>
+);
+
+const DashboardSection = ({ token, showMessage }) => {
+  const [budgets, setBudgets] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedMonth, setSelectedMonth] = useQueryParam(
+    "month",
+    String(new Date().getMonth() + 1)
+  );
+  const [selectedYear, setSelectedYear] = useQueryParam(
+    "year",
+    String(new Date().getFullYear())
+  );
+
+  const fetchBudgets = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await cachedGet("/budgets/", token);
+      setBudgets(data);
+    } catch (error) {
+      showMessage(error.message || "Failed to fetch budgets.", "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [token, showMessage]);
+
+  useEffect(() => {
+    fetchBudgets();
+  }, [fetchBudgets]);
+
+  // Progress is against the effective limit, carry-over included, as in the budgets table.
+  // Rollover needs the earlier months, so it runs before the month is picked.
+  const monthBudgets = applyRollover(budgets)
+    .filter(
+      (budget) =>
+        budget.budget_month === parseInt(selectedMonth) &&
+        budget.budget_year === parseInt(selectedYear)
+    )
+    .map((budget) => ({
+      ...budget,
+      progress: getBudgetProgress(budget.effectiveLimit, budget.total_realized),
+    }));
+
+  const household = getBudgetProgress(
+    monthBudgets.reduce((sum, budget) => sum + budget.progress.limit, 0),
+    monthBudgets.reduce((sum, budget) => sum + budget.progress.realized, 0)
+  );
+  const alerts = monthBudgets.filter(
+    (budget) => budget.progress.status !== "ok"
+  );
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg">
+      <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
+        <LayoutDashboard size={24} className="mr-2" /> Budget vs. Actual
+      </h2>
 
       <div className="mb-6 p-4 bg-gray-50 rounded-lg shadow-inner flex items-center space-x-4">
-        <h3 className="text-lg font-semibold text-gray-700">
-          Filter Realizations:
-        </h3>
+        <h3 className="text-lg font-semibold text-gray-700">Period:</h3>
         <div className="flex items-center space-x-2">
-          <label htmlFor="filterMonth" className="text-sm text-gray-600">
+          <label htmlFor="dashboardMonth" className="text-sm text-gray-600">
             Month:
           </label>
           <input
             type="number"
-            id="filterMonth"
-            value={filterMonth}
-            onChange={(e) => setFilterMonth(e.target.value)}
+            id="dashboardMonth"
+            value={selectedMonth}
+            onChange={(e) => setSelectedMonth(e.target.value)}
             min="1"
             max="12"
-            placeholder="e.g., 7"
             className="w-24 px-3 py-1 text-black border border-gray-300 rounded-lg"
           />
         </div>
         <div className="flex items-center space-x-2">
-          <label htmlFor="filterYear" className="text-sm text-gray-600">
+          <label htmlFor="dashboardYear" className="text-sm text-gray-600">
             Year:
           </label>
           <input
             type="number"
-            id="filterYear"
-            value={filterYear}
-            onChange={(e) => setFilterYear(e.target.value)}
+            id="dashboardYear"
+            value={selectedYear}
+            onChange={(e) => setSelectedYear(e.target.value)}
             min="2000"
-            placeholder="e.g., 2025"
             className="w-28 px-3 py-1 text-black border border-gray-300 rounded-lg"
           />
         </div>
-        <button
-          onClick={fetchRealizations}
-          className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg shadow-md transition duration-300 ease-in-out"
-        >
-          Apply Filter
-        </button>
-        <button
-          onClick={() => {
-            setFilterMonth("");
-            setFilterYear("");
-          }}
-          className="px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
-        >
-          Clear Filters
-        </button>
       </div>
 
-      {loading && !isFormOpen && (
-        <p className="text-blue-600 text-center py-4">
-          Loading realizations...
-        </p>
+      {loading && (
+        <p className="text-blue-600 text-center py-4">Loading budgets...</p>
       )}
 
-      {!isFormOpen && realizations.length === 0 && !loading && (
+      {!loading && monthBudgets.length === 0 && (
         <p className="text-gray-600 text-center py-4">
-          No realizations found for the selected filters. Add one to get
-          started!
+          No budgets found for {selectedMonth}/{selectedYear}.
         </p>
       )}
 
-      {!isFormOpen && realizations.length > 0 && (
-        <div className="overflow-x-auto">
-          <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-md">
-            <thead className="bg-gray-100 border-b border-gray-200">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
-                  Date
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
-                  Description
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
-                  Budget
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
-                  Amount
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
-                  Actions
-                </th>
-              </tr>
-            </thead>
-            <tbody className="divide-y divide-gray-200">
-              {realizations.map((realization) => (
-                <tr key={realization.id} className="hover:bg-gray-50">
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                    {realization.expense_date}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                    {realization.name}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                    {budgets.find((b) => b.id === realization.budget_id)
-                      ?.name || "N/A"}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                    {realization.amount}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                    <div className="flex space-x-2">
-                      <button
-                        onClick={() => handleEditClick(realization)}
-                        className="text-blue-600 hover:text-blue-900 transition duration-150 ease-in-out"
-                        title="Edit Realization"
-                      >
-                        <Edit size={18} />
-                      </button>
-                      <button
-                        onClick={() => handleDeleteRealization(realization.id)}
-                        className="text-red-600 hover:text-red-900 transition duration-150 ease-in-out"
-                        title="Delete Realization"
-                      >
-                        <Trash2 size={18} />
-                      </button>
-                    </div>
-                  </td>
-                </tr>
+      {!loading && monthBudgets.length > 0 && (
+        <>
+          {/* Household Total */}
+          <div className="mb-6 p-4 rounded-lg border border-gray-200 shadow-md">
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="text-lg font-semibold text-gray-800">
+                Household Total
+              </h3>
+              <span
+                className={`text-sm font-semibold ${
+                  PROGRESS_STYLES[household.status].text
+                }`}
+              >
+                {household.percentUsed.toFixed(1)}% used
+              </span>
+            </div>
+            <ProgressBar
+              percentUsed={household.percentUsed}
+              status={household.status}
+            />
+            <div className="mt-2 grid grid-cols-3 gap-4 text-sm text-gray-700">
+              <span>Limit: {formatAmount(household.limit)}</span>
+              <span>Realized: {formatAmount(household.realized)}</span>
+              <span className={PROGRESS_STYLES[household.status].text}>
+                Remaining: {formatAmount(household.remaining)}
+              </span>
+            </div>
+          </div>
+
+          {/* Overspend Alerts */}
+          {alerts.length > 0 && (
+            <div className="mb-6 space-y-2">
+              {alerts.map((budget) => (
+                <div
+                  key={budget.id}
+                  className={`p-3 rounded-lg shadow-md flex items-center ${
+                    budget.progress.status === "over"
+                      ? "bg-red-100 text-red-800"
+                      : "bg-amber-100 text-amber-800"
+                  }`}
+                >
+                  <AlertTriangle size={18} className="mr-2" />
+                  {budget.progress.status === "over"
+                    ? `${budget.name} is over its limit by ${formatAmount(
+                        -budget.progress.remaining
+                      )}.`
+                    : `${
+                        budget.name
+                      } has used ${budget.progress.percentUsed.toFixed(
+                        1
+                      )}% of its limit.`}
+                </div>
               ))}
-            </tbody>
-          </table>
-        </div>
+            </div>
+          )}
+
+          {/* Per-Budget Progress */}
+          <div className="space-y-4">
+            {monthBudgets.map((budget) => (
+              <div
+                key={budget.id}
+                className="p-4 rounded-lg border border-gray-200 hover:bg-gray-50"
+              >
+                <div className="flex justify-between items-center mb-2">
+                  <span className="text-sm font-medium text-gray-900">
+                    {budget.name}
+                  </span>
+                  <span
+                    className={`text-sm font-semibold ${
+                      PROGRESS_STYLES[budget.progress.status].text
+                    }`}
+                  >
+                    {budget.progress.percentUsed.toFixed(1)}% used
+                  </span>
+                </div>
+                <ProgressBar
+                  percentUsed={budget.progress.percentUsed}
+                  status={budget.progress.status}
+                />
+                <div className="mt-2 flex justify-between text-sm text-gray-700">
+                  <span>
+                    {formatAmount(budget.progress.realized)} of{" "}
+                    {formatAmount(budget.progress.limit)}
+                    {budget.carryOver !== 0 &&
+                      ` (${formatAmount(budget.carryOver)} carried over)`}
+                  </span>
+                  <span
+                    className={PROGRESS_STYLES[budget.progress.status].text}
+                  >
+                    {budget.progress.remaining >= 0
+                      ? `${formatAmount(budget.progress.remaining)} remaining`
+                      : `${formatAmount(-budget.progress.remaining)} over`}
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
       )}
     </div>
   );
 };
 
-const RealizationForm = ({
-  onSave,
-  onCancel,
-  initialData,
-  budgets,
-  loading,
-}) => {
-  const [expenseDate, setExpenseDate] = useState(
-    initialData?.expense_date || ""
+// --- Reports Section ---
+
+const REPORT_MONTH_COUNT = 12;
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+// Build the list of months in the report window, oldest first, ending at the given month
+const getReportMonths = (endMonth, endYear) =>
+  Array.from({ length: REPORT_MONTH_COUNT }, (_, i) => {
+    const offset = REPORT_MONTH_COUNT - 1 - i;
+    const date = new Date(endYear, endMonth - 1 - offset, 1);
+    const month = date.getMonth() + 1;
+    const year = date.getFullYear();
+    return {
+      key: `${year}-${month}`,
+      month,
+      year,
+      label: `${MONTH_NAMES[month - 1]} ${String(year).slice(-2)}`,
+    };
+  });
+
+// expense_date is an ISO "YYYY-MM-DD" string; parse it without timezone shifts
+const getMonthKey = (isoDate) => {
+  const [year, month] = isoDate.split("-").map((part) => parseInt(part));
+  return `${year}-${month}`;
+};
+
+const ReportsSection = ({ token, showMessage }) => {
+  const [budgets, setBudgets] = useState([]);
+  const [realizations, setRealizations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [endMonth, setEndMonth] = useQueryParam(
+    "month",
+    String(new Date().getMonth() + 1)
   );
-  const [name, setName] = useState(initialData?.name || "");
-  const [budgetId, setBudgetId] = useState(initialData?.budget_id || "");
-  const [amount, setAmount] = useState(initialData?.amount || "");
+  const [endYear, setEndYear] = useQueryParam(
+    "year",
+    String(new Date().getFullYear())
+  );
+  const [selectedBudgetName, setSelectedBudgetName] = useQueryParam("budget"); // "" for all budgets
+  const [view, setView] = useQueryParam("view", "trends"); // 'trends' or 'monthly'
+  const [groupBy, setGroupBy] = useQueryParam("by", "budget"); // 'budget' or 'category'
+
+  const fetchReportData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [budgetData, realizationData] = await Promise.all([
+        cachedGet("/budgets/", token),
+        cachedGet("/realizations/", token),
+      ]);
+      setBudgets(budgetData);
+      setRealizations(realizationData);
+    } catch (error) {
+      showMessage(error.message || "Failed to fetch report data.", "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [token, showMessage]);
 
   useEffect(() => {
-    if (initialData) {
-      setExpenseDate(initialData.expense_date);
-      setName(initialData.name);
-      setBudgetId(initialData.budget_id);
-      setAmount(initialData.amount);
-    } else {
-      // Set default date to today for new realizations
-      setExpenseDate(new Date().toISOString().split("T")[0]);
-      setName("");
-      setBudgetId("");
-      setAmount("");
+    fetchReportData();
+  }, [fetchReportData]);
+
+  const months = getReportMonths(
+    parseInt(endMonth) || new Date().getMonth() + 1,
+    parseInt(endYear) || new Date().getFullYear()
+  );
+  const monthIndex = Object.fromEntries(months.map((m, i) => [m.key, i]));
+  const budgetNameById = Object.fromEntries(
+    budgets.map((budget) => [budget.id, budget.name])
+  );
+  // Series are budget names, or with groupBy 'category' the budgets' categories
+  const categories = loadBudgetCategories();
+  const getSeriesName = (budgetName) =>
+    groupBy === "category"
+      ? getBudgetCategory(budgetName, categories) || UNCATEGORIZED
+      : budgetName;
+
+  // Realized amounts per budget name (or category) per month
+  const realizedByName = {};
+  realizations.forEach((realization) => {
+    const index = monthIndex[getMonthKey(realization.expense_date)];
+    if (index === undefined) {
+      return;
+    }
+    const budgetName = budgetNameById[realization.budget_id];
+    const name = budgetName ? getSeriesName(budgetName) : "Unassigned";
+    if (!realizedByName[name]) {
+      realizedByName[name] = Array(REPORT_MONTH_COUNT).fill(0);
     }
-  }, [initialData]);
+    realizedByName[name][index] += Number(realization.amount) || 0;
+  });
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    if (!budgetId) {
-      alert("Please select a budget."); // Using alert for simple client-side validation
+  // Budget limits per budget name (or category) per month
+  const limitsByName = {};
+  budgets.forEach((budget) => {
+    const index = monthIndex[`${budget.budget_year}-${budget.budget_month}`];
+    if (index === undefined) {
       return;
     }
-    onSave({
-      expense_date: expenseDate,
-      name,
-      budget_id: budgetId,
-      amount: parseFloat(amount),
-    });
-  };
+    const name = getSeriesName(budget.name);
+    if (!limitsByName[name]) {
+      limitsByName[name] = Array(REPORT_MONTH_COUNT).fill(0);
+    }
+    limitsByName[name][index] += Number(budget.limit) || 0;
+  });
+
+  const budgetNames = [
+    ...new Set([...Object.keys(limitsByName), ...Object.keys(realizedByName)]),
+  ].sort();
+  const sumSeries = (byName, names) =>
+    months.map((_, i) =>
+      names.reduce((sum, name) => sum + (byName[name]?.[i] || 0), 0)
+    );
+  const comparedNames = selectedBudgetName ? [selectedBudgetName] : budgetNames;
+  const actualTotals = sumSeries(realizedByName, comparedNames);
+  const limitTotals = sumSeries(limitsByName, comparedNames);
+
+  const labels = months.map((m) => m.label);
+  const stackedSeries = Object.keys(realizedByName)
+    .sort()
+    .map((name) => ({ name, values: realizedByName[name] }));
 
   return (
-    <div className="bg-gray-50 p-6 rounded-xl shadow-inner mb-6 border border-gray-200">
-      <h3 className="text-xl font-bold text-gray-800 mb-4">
-        {initialData ? "Edit Realization" : "Add New Realization"}
-      </h3>
-      <form
-        onSubmit={handleSubmit}
-        className="grid grid-cols-1 md:grid-cols-2 gap-4"
-      >
-        <div>
-          <label className="block text-gray-700 text-sm font-semibold mb-2">
-            Date
+    <div className="bg-white p-6 rounded-xl shadow-lg">
+      <div className="mb-4 flex justify-between items-center print:hidden">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+          <TrendingUp size={24} className="mr-2" /> Reports
+        </h2>
+        <div className="flex space-x-3">
+          {[
+            ["trends", "Spending Trends"],
+            ["monthly", "Monthly Report"],
+          ].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setView(value)}
+              className={`px-4 py-2 rounded-lg shadow-md transition duration-300 ease-in-out ${
+                view === value
+                  ? "bg-blue-500 text-white"
+                  : "bg-gray-200 text-gray-800 hover:bg-gray-300"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+          {view === "monthly" && (
+            <button
+              onClick={() => window.print()}
+              className="flex items-center px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+            >
+              <Printer size={18} className="mr-2" /> Print
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="mb-6 p-4 bg-gray-50 rounded-lg shadow-inner flex items-center space-x-4 print:hidden">
+        <h3 className="text-lg font-semibold text-gray-700">
+          {view === "trends" ? "Last 12 months ending:" : "Report month:"}
+        </h3>
+        <div className="flex items-center space-x-2">
+          <label htmlFor="reportMonth" className="text-sm text-gray-600">
+            Month:
           </label>
           <input
-            type="date"
-            value={expenseDate}
-            onChange={(e) => setExpenseDate(e.target.value)}
-            className="w-full px-4 py-2 text-black border border-gray-300 rounded-lg"
-            required
+            type="number"
+            id="reportMonth"
+            value={endMonth}
+            onChange={(e) => setEndMonth(e.target.value)}
+            min="1"
+            max="12"
+            className="w-24 px-3 py-1 text-black border border-gray-300 rounded-lg"
           />
         </div>
-        <div>
-          <label className="block text-gray-700 text-sm font-semibold mb-2">
-            Description
+        <div className="flex items-center space-x-2">
+          <label htmlFor="reportYear" className="text-sm text-gray-600">
+            Year:
           </label>
           <input
-            type="text"
-            value={name}
-            onChange={(e) => setName(e.target.value)}
-            className="w-full px-4 py-2 text-black border border-gray-300 rounded-lg"
-            required
+            type="number"
+            id="reportYear"
+            value={endYear}
+            onChange={(e) => setEndYear(e.target.value)}
+            min="2000"
+            className="w-28 px-3 py-1 text-black border border-gray-300 rounded-lg"
           />
         </div>
-        {!initialData && (
-          <>
-            <div>
-              <label className="block text-gray-700 text-sm font-semibold mb-2">
-                Budget
-              </label>
+        {view === "trends" && (
+          <div className="flex items-center space-x-2">
+            <label htmlFor="reportGroupBy" className="text-sm text-gray-600">
+              Show:
+            </label>
+            <select
+              id="reportGroupBy"
+              value={groupBy}
+              onChange={(e) => {
+                setGroupBy(e.target.value);
+                setSelectedBudgetName(""); // A budget name isn't a category
+              }}
+              className="px-3 py-1 text-black border border-gray-300 rounded-lg"
+            >
+              <option value="budget">By budget</option>
+              <option value="category">By category</option>
+            </select>
+          </div>
+        )}
+      </div>
+
+      {loading && (
+        <p className="text-blue-600 text-center py-4">Loading reports...</p>
+      )}
+
+      {!loading && view === "monthly" && (
+        <MonthlyReport
+          budgets={budgets}
+          realizations={realizations}
+          month={parseInt(endMonth)}
+          year={parseInt(endYear)}
+        />
+      )}
+
+      {!loading && view === "trends" && (
+        <>
+          <div className="mb-8">
+            <h3 className="text-xl font-bold text-gray-800 mb-4">
+              Monthly Spending by{" "}
+              {groupBy === "category" ? "Category" : "Budget"}
+            </h3>
+            {stackedSeries.length > 0 ? (
+              <StackedBarChart labels={labels} series={stackedSeries} />
+            ) : (
+              <p className="text-gray-600 text-center py-4">
+                No realizations found in this period.
+              </p>
+            )}
+          </div>
+
+          <div className="mb-8">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-bold text-gray-800">
+                Realized vs. Budgeted
+              </h3>
               <select
-                value={budgetId}
-                onChange={(e) => setBudgetId(e.target.value)}
-                className="w-full px-4 py-2 text-black border border-gray-300 rounded-lg"
-                required
+                value={selectedBudgetName}
+                onChange={(e) => setSelectedBudgetName(e.target.value)}
+                className="px-3 py-1 text-black border border-gray-300 rounded-lg"
               >
-                <option value="">Select a Budget</option>
-                {budgets.map((budget) => (
-                  <option key={budget.id} value={budget.id}>
-                    {budget.name} ({budget.budget_month}/{budget.budget_year})
+                <option value="">
+                  {groupBy === "category" ? "All Categories" : "All Budgets"}
+                </option>
+                {budgetNames.map((name) => (
+                  <option key={name} value={name}>
+                    {name}
                   </option>
                 ))}
               </select>
             </div>
-            <div>
-              <label className="block text-gray-700 text-sm font-semibold mb-2">
-                Amount
-              </label>
-              <input
-                type="number"
-                step="0.01"
-                value={amount}
-                onChange={(e) => setAmount(e.target.value)}
-                className="w-full px-4 py-2 text-black border border-gray-300 rounded-lg"
-                required
-              />
-            </div>
-          </>
-        )}
-        <div className="col-span-1 md:col-span-2 flex justify-end space-x-3 mt-4">
-          <button
-            type="button"
-            onClick={onCancel}
-            className="px-5 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
-            disabled={loading}
-          >
-            Cancel
-          </button>
-          <button
-            type="submit"
-            className="px-5 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
-            disabled={loading}
+            <LineChart
+              labels={labels}
+              series={[
+                { name: "Realized", color: "#3b82f6", values: actualTotals },
+                {
+                  name: "Budgeted",
+                  color: "#9ca3af",
+                  values: limitTotals,
+                  dashed: true,
+                },
+              ]}
+            />
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-md">
+              <thead className="bg-gray-100 border-b border-gray-200">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                    Month
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                    Budgeted
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                    Realized
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
+                    Variance
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {months.map((m, i) => {
+                  const variance = limitTotals[i] - actualTotals[i];
+                  return (
+                    <tr key={m.key} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {m.month}/{m.year}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                        {formatAmount(limitTotals[i])}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                        {formatAmount(actualTotals[i])}
+                      </td>
+                      <td
+                        className={`px-6 py-4 whitespace-nowrap text-sm font-semibold ${
+                          variance < 0 ? "text-red-700" : "text-green-700"
+                        }`}
+                      >
+                        {formatAmount(variance)}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Print-friendly summary of one month: each budget with its realizations, totals and variance
+const MonthlyReport = ({ budgets, realizations, month, year }) => {
+  const monthBudgets = budgets
+    .filter(
+      (budget) => budget.budget_month === month && budget.budget_year === year
+    )
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const totalLimit = monthBudgets.reduce(
+    (sum, budget) => sum + (Number(budget.limit) || 0),
+    0
+  );
+  const totalRealized = monthBudgets.reduce(
+    (sum, budget) => sum + (Number(budget.total_realized) || 0),
+    0
+  );
+
+  if (monthBudgets.length === 0) {
+    return (
+      <p className="text-gray-600 text-center py-4">
+        No budgets found for {month}/{year}.
+      </p>
+    );
+  }
+
+  return (
+    <div className="text-gray-800">
+      <h3 className="text-xl font-bold mb-4">
+        Monthly Report: {MONTH_NAMES[month - 1]} {year}
+      </h3>
+
+      {monthBudgets.map((budget) => {
+        const limit = Number(budget.limit) || 0;
+        const realized = Number(budget.total_realized) || 0;
+        const variance = limit - realized;
+        const items = realizations
+          .filter((realization) => realization.budget_id === budget.id)
+          .sort((a, b) => a.expense_date.localeCompare(b.expense_date));
+        return (
+          <div
+            key={budget.id}
+            className="mb-6 p-4 rounded-lg border border-gray-200 break-inside-avoid"
           >
-            {loading
-              ? "Saving..."
-              : initialData
-              ? "Update Realization"
-              : "Add Realization"}
-          </button>
-        </div>
-      </form>
+            <div className="flex justify-between items-baseline mb-2">
+              <h4 className="text-lg font-semibold">{budget.name}</h4>
+              <span className="text-sm text-gray-700">
+                Limit {formatAmount(limit)} · Realized {formatAmount(realized)}{" "}
+                ·{" "}
+                <span
+                  className={`font-semibold ${
+                    variance < 0 ? "text-red-700" : "text-green-700"
+                  }`}
+                >
+                  Variance {formatAmount(variance)}
+                </span>
+              </span>
+            </div>
+            {items.length === 0 ? (
+              <p className="text-sm text-gray-600">No realizations.</p>
+            ) : (
+              <table className="min-w-full text-sm">
+                <tbody className="divide-y divide-gray-200">
+                  {items.map((realization) => (
+                    <tr key={realization.id}>
+                      <td className="py-1 pr-4 whitespace-nowrap text-gray-700">
+                        {realization.expense_date}
+                      </td>
+                      <td className="py-1 pr-4 w-full text-gray-700">
+                        {realization.name}
+                      </td>
+                      <td className="py-1 text-right whitespace-nowrap text-gray-700">
+                        {formatAmount(realization.amount)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        );
+      })}
+
+      <div className="p-4 rounded-lg bg-gray-100 flex justify-between font-semibold break-inside-avoid">
+        <span>Total</span>
+        <span>
+          Limit {formatAmount(totalLimit)} · Realized{" "}
+          {formatAmount(totalRealized)} · Variance{" "}
+          {formatAmount(totalLimit - totalRealized)}
+        </span>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,227 @@
+// API client for the FastAPI backend.
+// Every request goes through apiCall so timeouts, retries and error types are handled in one place.
+
+const API_BASE_URL =
+  import.meta.env.VITE_API_BASE_URL || "http://127.0.0.1:8000";
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_GET_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+
+// --- Error Classes ---
+
+export class ApiError extends Error {
+  constructor(message, status = null, data = null) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// The request never got a response (offline, DNS, CORS, aborted)
+export class NetworkError extends ApiError {
+  constructor(message = "Network error. Please check your connection.") {
+    super(message);
+    this.name = "NetworkError";
+  }
+}
+
+export class TimeoutError extends NetworkError {
+  constructor(message = "The server took too long to respond.") {
+    super(message);
+    this.name = "TimeoutError";
+  }
+}
+
+// 401: missing, invalid or expired credentials
+export class AuthError extends ApiError {
+  constructor(message = "Authentication required.", data = null) {
+    super(message, 401, data);
+    this.name = "AuthError";
+  }
+}
+
+// 422: FastAPI request validation failure; fieldErrors maps field name -> message
+export class ValidationError extends ApiError {
+  constructor(message, data = null, fieldErrors = {}) {
+    super(message, 422, data);
+    this.name = "ValidationError";
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+// 5xx: the backend failed to handle a valid request
+export class ServerError extends ApiError {
+  constructor(message = "Server error. Please try again later.", status, data) {
+    super(message, status, data);
+    this.name = "ServerError";
+  }
+}
+
+// --- Helpers ---
+
+// FastAPI reports 422s as detail: [{ loc: ["body", "field"], msg, type }]
+const parseFieldErrors = (detail) => {
+  const fieldErrors = {};
+  if (Array.isArray(detail)) {
+    detail.forEach((item) => {
+      const field = item.loc?.[item.loc.length - 1];
+      if (field !== undefined && !fieldErrors[field]) {
+        fieldErrors[field] = item.msg;
+      }
+    });
+  }
+  return fieldErrors;
+};
+
+const getErrorMessage = (data, fallback) => {
+  if (typeof data === "string" && data) {
+    return data;
+  }
+  if (typeof data?.detail === "string") {
+    return data.detail;
+  }
+  return data?.message || fallback;
+};
+
+// Empty bodies (e.g. 204 No Content) resolve to null instead of throwing
+const parseBody = async (response) => {
+  const text = await response.text();
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+const toApiError = (status, data) => {
+  if (status === 401) {
+    return new AuthError(
+      getErrorMessage(data, "Authentication required."),
+      data
+    );
+  }
+  if (status === 422) {
+    const fieldErrors = parseFieldErrors(data?.detail);
+    const message = Object.keys(fieldErrors).length
+      ? Object.entries(fieldErrors)
+          .map(([field, msg]) => `${field}: ${msg}`)
+          .join("; ")
+      : getErrorMessage(data, "Validation failed.");
+    return new ValidationError(message, data, fieldErrors);
+  }
+  if (status >= 500) {
+    return new ServerError(
+      getErrorMessage(data, "Server error. Please try again later."),
+      status,
+      data
+    );
+  }
+  return new ApiError(getErrorMessage(data, "An error occurred"), status, data);
+};
+
+const isRetryable = (error) =>
+  error instanceof NetworkError || error instanceof ServerError;
+
+// Called when an authenticated request gets a 401; resolves to a fresh token to replay with
+let authFailureHandler = null;
+
+export const setAuthFailureHandler = (handler) => {
+  authFailureHandler = handler;
+};
+
+// Active shared household; budgets and realizations are scoped to it via a request header
+let householdId = null;
+
+export const setHouseholdId = (id) => {
+  householdId = id;
+};
+
+export const getHouseholdId = () => householdId;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Perform one request with a timeout; throws a typed ApiError on failure
+const request = async (url, config, timeout) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  let response;
+  try {
+    response = await fetch(url, { ...config, signal: controller.signal });
+  } catch (error) {
+    throw error.name === "AbortError" ? new TimeoutError() : new NetworkError();
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const responseData = await parseBody(response);
+  if (!response.ok) {
+    throw toApiError(response.status, responseData);
+  }
+  return responseData;
+};
+
+// --- Public Client ---
+
+// data may be a plain object (sent as JSON) or URLSearchParams (sent form-encoded).
+// GET requests are retried with exponential backoff on network and server errors.
+// A 401 on an authenticated request is passed to the auth failure handler and, once it
+// supplies a new token, replayed; pass retryAuth: false to opt out.
+export const apiCall = async (
+  endpoint,
+  method = "GET",
+  data = null,
+  token = null,
+  options = {}
+) => {
+  const { timeout = DEFAULT_TIMEOUT_MS, retries, retryAuth = true } = options;
+  const headers = {};
+  const config = { method, headers };
+  if (data instanceof URLSearchParams) {
+    headers["Content-Type"] = "application/x-www-form-urlencoded";
+    config.body = data.toString();
+  } else {
+    headers["Content-Type"] = "application/json";
+    if (data) {
+      config.body = JSON.stringify(data);
+    }
+  }
+  if (token) {
+    headers["Authorization"] = `Bearer ${token}`;
+  }
+  if (householdId) {
+    headers["X-Household-ID"] = householdId;
+  }
+
+  const maxRetries = retries ?? (method === "GET" ? DEFAULT_GET_RETRIES : 0);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request(`${API_BASE_URL}${endpoint}`, config, timeout);
+    } catch (error) {
+      if (attempt < maxRetries && isRetryable(error)) {
+        await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt);
+        continue;
+      }
+      if (
+        error instanceof AuthError &&
+        token &&
+        retryAuth &&
+        authFailureHandler
+      ) {
+        const newToken = await authFailureHandler().catch(() => null);
+        if (newToken) {
+          return apiCall(endpoint, method, data, newToken, {
+            ...options,
+            retryAuth: false,
+          });
+        }
+      }
+      console.error("API Call Error:", error);
+      throw error;
+    }
+  }
+};
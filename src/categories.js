@@ -0,0 +1,78 @@
+import { createScopedKey } from "./storage.js";
+
+// Budget categories (Housing, Food, Transport, ...): a layer above budgets so a month with many
+// budgets can be read as a few groups with subtotals. The backend has no categories, so each
+// budget name's category is kept in localStorage (see storage.js). A category applies to every
+// month's budget of that name.
+
+export const UNCATEGORIZED = "Uncategorized";
+
+const getStorageKey = createScopedKey("budgetCategories");
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// { [budgetName]: category }
+export const loadBudgetCategories = () => {
+  try {
+    return JSON.parse(localStorage.getItem(getStorageKey())) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const getBudgetCategory = (name, categories = loadBudgetCategories()) =>
+  categories[name] || "";
+
+// An empty category takes the budget out of its group
+export const setBudgetCategory = (name, category) => {
+  const { [name]: _previous, ...categories } = loadBudgetCategories();
+  const trimmed = (category || "").trim();
+  localStorage.setItem(
+    getStorageKey(),
+    JSON.stringify(trimmed ? { ...categories, [name]: trimmed } : categories)
+  );
+};
+
+// Category names in use, for suggestions and filters
+export const getCategoryNames = (categories = loadBudgetCategories()) =>
+  [...new Set(Object.values(categories))].sort();
+
+// One row per category and month with the subtotals of its budgets (limit, carried over,
+// effective limit and realized) and the budgets themselves as `lines`. Budgets without a
+// category are grouped under UNCATEGORIZED.
+export const groupBudgetsByCategory = (
+  budgets,
+  categories = loadBudgetCategories()
+) => {
+  const groups = new Map();
+  budgets.forEach((budget) => {
+    const category = categories[budget.name] || UNCATEGORIZED;
+    const id = `category-${category}-${budget.budget_year}-${budget.budget_month}`;
+    if (!groups.has(id)) {
+      groups.set(id, {
+        id,
+        isCategory: true,
+        name: category,
+        budget_month: budget.budget_month,
+        budget_year: budget.budget_year,
+        limit: 0,
+        carryOver: 0,
+        effectiveLimit: 0,
+        total_realized: 0,
+        lines: [],
+      });
+    }
+    const group = groups.get(id);
+    group.limit = roundAmount(group.limit + (Number(budget.limit) || 0));
+    group.carryOver = roundAmount(group.carryOver + (budget.carryOver || 0));
+    group.effectiveLimit = roundAmount(
+      group.effectiveLimit +
+        (Number(budget.effectiveLimit ?? budget.limit) || 0)
+    );
+    group.total_realized = roundAmount(
+      group.total_realized + (Number(budget.total_realized) || 0)
+    );
+    group.lines.push(budget);
+  });
+  return [...groups.values()];
+};
@@ -0,0 +1,223 @@
+import React from "react";
+import { formatAmount } from "./currency.js";
+
+// Lightweight SVG charts rendered in-app, so reports work offline without a CDN.
+
+const CHART_COLORS = [
+  "#3b82f6",
+  "#8b5cf6",
+  "#10b981",
+  "#f59e0b",
+  "#ef4444",
+  "#06b6d4",
+  "#ec4899",
+  "#84cc16",
+  "#f97316",
+  "#6366f1",
+  "#14b8a6",
+  "#a855f7",
+];
+
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 320;
+const PADDING = { top: 20, right: 20, bottom: 40, left: 64 };
+const TICK_COUNT = 5;
+
+// Round the axis maximum up to a "nice" number so tick labels stay readable
+const niceMax = (value) => {
+  if (value <= 0) {
+    return 1;
+  }
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const normalized = value / magnitude;
+  const step = [1, 2, 2.5, 5, 10].find((s) => normalized <= s);
+  return step * magnitude;
+};
+
+// Fill in a palette colour for any series that does not specify its own
+const withColors = (series) =>
+  series.map((s, i) => ({
+    ...s,
+    color: s.color || CHART_COLORS[i % CHART_COLORS.length],
+  }));
+
+const ValueAxis = ({ maxValue, plotHeight, plotWidth }) => (
+  <g>
+    {Array.from({ length: TICK_COUNT + 1 }, (_, i) => {
+      const value = (maxValue / TICK_COUNT) * i;
+      const y = PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+      return (
+        <g key={i}>
+          <line
+            x1={PADDING.left}
+            x2={PADDING.left + plotWidth}
+            y1={y}
+            y2={y}
+            stroke="#e5e7eb"
+          />
+          <text
+            x={PADDING.left - 8}
+            y={y + 4}
+            textAnchor="end"
+            fontSize="11"
+            fill="#6b7280"
+          >
+            {value.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+          </text>
+        </g>
+      );
+    })}
+  </g>
+);
+
+const Legend = ({ series }) => (
+  <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-sm text-gray-700">
+    {series.map((s) => (
+      <span key={s.name} className="flex items-center">
+        <span
+          className="inline-block w-3 h-3 rounded-sm mr-1"
+          style={{ backgroundColor: s.color }}
+        />
+        {s.name}
+      </span>
+    ))}
+  </div>
+);
+
+// labels: x-axis categories; series: [{ name, color?, values: number[] }]
+export const StackedBarChart = ({ labels, series: rawSeries }) => {
+  const series = withColors(rawSeries);
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  const totals = labels.map((_, i) =>
+    series.reduce((sum, s) => sum + (s.values[i] || 0), 0)
+  );
+  const maxValue = niceMax(Math.max(0, ...totals));
+  const slotWidth = plotWidth / Math.max(labels.length, 1);
+  const barWidth = slotWidth * 0.6;
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        className="w-full h-auto"
+        role="img"
+      >
+        <ValueAxis
+          maxValue={maxValue}
+          plotHeight={plotHeight}
+          plotWidth={plotWidth}
+        />
+        {labels.map((label, i) => {
+          const x = PADDING.left + slotWidth * i + (slotWidth - barWidth) / 2;
+          let offset = 0;
+          return (
+            <g key={label}>
+              {series.map((s) => {
+                const value = s.values[i] || 0;
+                if (value <= 0) {
+                  return null;
+                }
+                const height = (value / maxValue) * plotHeight;
+                offset += height;
+                return (
+                  <rect
+                    key={s.name}
+                    x={x}
+                    y={PADDING.top + plotHeight - offset}
+                    width={barWidth}
+                    height={height}
+                    fill={s.color}
+                  >
+                    <title>{`${s.name} (${label}): ${formatAmount(
+                      value
+                    )}`}</title>
+                  </rect>
+                );
+              })}
+              <text
+                x={x + barWidth / 2}
+                y={CHART_HEIGHT - PADDING.bottom + 16}
+                textAnchor="middle"
+                fontSize="11"
+                fill="#6b7280"
+              >
+                {label}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      <Legend series={series} />
+    </div>
+  );
+};
+
+// labels: x-axis categories; series: [{ name, color?, values: number[], dashed? }]
+export const LineChart = ({ labels, series: rawSeries }) => {
+  const series = withColors(rawSeries);
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  const maxValue = niceMax(
+    Math.max(0, ...series.flatMap((s) => s.values.map((v) => v || 0)))
+  );
+  const slotWidth = plotWidth / Math.max(labels.length, 1);
+  const pointX = (i) => PADDING.left + slotWidth * i + slotWidth / 2;
+  const pointY = (value) =>
+    PADDING.top + plotHeight - ((value || 0) / maxValue) * plotHeight;
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        className="w-full h-auto"
+        role="img"
+      >
+        <ValueAxis
+          maxValue={maxValue}
+          plotHeight={plotHeight}
+          plotWidth={plotWidth}
+        />
+        {labels.map((label, i) => (
+          <text
+            key={label}
+            x={pointX(i)}
+            y={CHART_HEIGHT - PADDING.bottom + 16}
+            textAnchor="middle"
+            fontSize="11"
+            fill="#6b7280"
+          >
+            {label}
+          </text>
+        ))}
+        {series.map((s) => (
+          <g key={s.name}>
+            <polyline
+              points={s.values
+                .map((v, i) => `${pointX(i)},${pointY(v)}`)
+                .join(" ")}
+              fill="none"
+              stroke={s.color}
+              strokeWidth="2"
+              strokeDasharray={s.dashed ? "6 4" : undefined}
+            />
+            {s.values.map((v, i) => (
+              <circle
+                key={labels[i]}
+                cx={pointX(i)}
+                cy={pointY(v)}
+                r="3"
+                fill={s.color}
+              >
+                <title>{`${s.name} (${labels[i]}): ${formatAmount(
+                  v || 0
+                )}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      <Legend series={series} />
+    </div>
+  );
+};
@@ -0,0 +1,140 @@
+// CSV helpers for importing bank statements and exporting data
+
+const CANDIDATE_DELIMITERS = [",", ";", "\t"];
+
+// Pick the delimiter that occurs most often in the first line (outside quotes)
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, "");
+  let best = ",";
+  let bestCount = 0;
+  CANDIDATE_DELIMITERS.forEach((delimiter) => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+// Parse CSV text into an array of rows (arrays of strings), honouring quoted fields
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const input = text.replace(/^\uFEFF/, ""); // Strip a UTF-8 byte order mark
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+// Parse an amount such as "1,234.56", "-12.50", "(12.50)" or "12,50" into a number
+export const parseAmount = (value) => {
+  let text = String(value)
+    .trim()
+    .replace(/[^\d.,\-()]/g, "");
+  const negative = /^\(.*\)$/.test(text) || text.startsWith("-");
+  text = text.replace(/[()-]/g, "");
+  const lastComma = text.lastIndexOf(",");
+  const lastDot = text.lastIndexOf(".");
+  if (lastComma > lastDot) {
+    // Comma is the decimal separator ("1.234,56" or "12,50")
+    text = text.replace(/\./g, "").replace(",", ".");
+  } else {
+    text = text.replace(/,/g, "");
+  }
+  const amount = parseFloat(text);
+  if (isNaN(amount)) {
+    return NaN;
+  }
+  return negative ? -amount : amount;
+};
+
+export const DATE_FORMATS = ["YYYY-MM-DD", "DD/MM/YYYY", "MM/DD/YYYY"];
+
+// Convert a date string in the given format to ISO "YYYY-MM-DD", or null if invalid
+export const parseDate = (value, format) => {
+  const parts = String(value)
+    .trim()
+    .split(/[-/.\s]/)
+    .map((part) => parseInt(part));
+  if (parts.length < 3 || parts.slice(0, 3).some(isNaN)) {
+    return null;
+  }
+  let year, month, day;
+  if (format === "DD/MM/YYYY") {
+    [day, month, year] = parts;
+  } else if (format === "MM/DD/YYYY") {
+    [month, day, year] = parts;
+  } else {
+    [year, month, day] = parts;
+  }
+  if (year < 100) {
+    year += 2000;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date.toISOString().split("T")[0];
+};
+
+// Text a spreadsheet would run as a formula gets a leading apostrophe; plain numbers
+// such as "-12.50" are left alone
+const neutralizeFormula = (text) =>
+  /^[=+\-@\t\r]/.test(text) && isNaN(Number(text)) ? `'${text}` : text;
+
+// Quote a value only when it contains a delimiter, quote or line break
+const escapeCsvValue = (value) => {
+  const text = neutralizeFormula(
+    value === null || value === undefined ? "" : String(value)
+  );
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize objects to CSV; columns: [{ key, label }] in output order
+export const toCsv = (rows, columns) =>
+  [
+    columns.map((column) => escapeCsvValue(column.label)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCsvValue(row[column.key])).join(",")
+    ),
+  ].join("\r\n");
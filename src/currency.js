@@ -0,0 +1,148 @@
+import { useSyncExternalStore } from "react";
+import { createScopedKey } from "./storage.js";
+
+// Currency settings and amount formatting. Every amount stored on the backend is in the
+// user's base currency; foreign-currency expenses are converted with an exchange rate the
+// user enters, which is cached for the next expense in that currency. All of it is kept in
+// localStorage per user and household (see storage.js).
+
+const getSettingsKey = createScopedKey("currencySettings");
+const getRatesKey = createScopedKey("exchangeRates"); // currency -> { rate, updatedAt }, rate = base units per 1 unit
+const getForeignAmountsKey = createScopedKey("foreignAmounts"); // realizationId -> { currency, amount, rate }
+
+export const CURRENCIES = [
+  "USD",
+  "EUR",
+  "GBP",
+  "IDR",
+  "SGD",
+  "MYR",
+  "JPY",
+  "AUD",
+  "CAD",
+  "CHF",
+  "CNY",
+  "INR",
+];
+
+export const LOCALES = [
+  { value: "en-US", label: "English (United States)" },
+  { value: "en-GB", label: "English (United Kingdom)" },
+  { value: "id-ID", label: "Bahasa Indonesia" },
+  { value: "de-DE", label: "Deutsch" },
+  { value: "fr-FR", label: "Français" },
+  { value: "nl-NL", label: "Nederlands" },
+  { value: "ja-JP", label: "日本語" },
+];
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// --- Settings ---
+
+let loaded = { key: null, settings: null };
+
+// The current user's and household's settings, read again when either changes
+const getSettings = () => {
+  const key = getSettingsKey();
+  if (loaded.key !== key) {
+    loaded = {
+      key,
+      settings: {
+        currency: "USD",
+        locale: navigator.language || "en-US",
+        ...readJson(key, {}),
+      },
+    };
+  }
+  return loaded.settings;
+};
+const listeners = new Set();
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// { currency, locale }; components using it re-render when the settings change
+export const useCurrencySettings = () =>
+  useSyncExternalStore(subscribe, getSettings);
+
+export const getCurrencySettings = getSettings;
+
+export const saveCurrencySettings = (changes) => {
+  // Cached rates are in base units, so they no longer apply under another base currency
+  const settings = getSettings();
+  if (changes.currency && changes.currency !== settings.currency) {
+    localStorage.removeItem(getRatesKey());
+  }
+  loaded = { key: getSettingsKey(), settings: { ...settings, ...changes } };
+  localStorage.setItem(loaded.key, JSON.stringify(loaded.settings));
+  listeners.forEach((listener) => listener());
+};
+
+// --- Formatting ---
+
+const formatters = {};
+
+const getFormatter = (currency, locale) => {
+  const key = `${locale}|${currency}`;
+  if (!formatters[key]) {
+    try {
+      formatters[key] = new Intl.NumberFormat(locale, {
+        style: "currency",
+        currency,
+      });
+    } catch {
+      formatters[key] = new Intl.NumberFormat(undefined, {
+        style: "currency",
+        currency,
+      });
+    }
+  }
+  return formatters[key];
+};
+
+// Format an amount in the base currency, or in the given currency
+export const formatAmount = (value, currency = getSettings().currency) => {
+  const number = Number(value);
+  if (value === null || value === undefined || value === "" || isNaN(number)) {
+    return "-";
+  }
+  return getFormatter(currency, getSettings().locale).format(number);
+};
+
+// --- Exchange Rates ---
+
+export const getCachedRate = (currency) =>
+  readJson(getRatesKey(), {})[currency]?.rate ?? "";
+
+export const cacheRate = (currency, rate) => {
+  const rates = readJson(getRatesKey(), {});
+  rates[currency] = { rate, updatedAt: Date.now() };
+  localStorage.setItem(getRatesKey(), JSON.stringify(rates));
+};
+
+export const convertToBase = (amount, rate) =>
+  Math.round((parseFloat(amount) || 0) * (parseFloat(rate) || 0) * 100) / 100;
+
+// --- Original Amounts of Foreign-Currency Realizations ---
+
+export const getForeignAmount = (realizationId) =>
+  readJson(getForeignAmountsKey(), {})[realizationId] || null;
+
+// Record (or with null, forget) the foreign amount a realization was converted from
+export const saveForeignAmount = (realizationId, foreign) => {
+  const amounts = readJson(getForeignAmountsKey(), {});
+  if (foreign) {
+    amounts[realizationId] = foreign;
+  } else {
+    delete amounts[realizationId];
+  }
+  localStorage.setItem(getForeignAmountsKey(), JSON.stringify(amounts));
+};
@@ -0,0 +1,28 @@
+import { toCsv } from "./csv.js";
+
+// Trigger a browser download of in-memory content
+export const downloadFile = (filename, content, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadCsv = (filename, rows, columns) =>
+  downloadFile(
+    `${filename}.csv`,
+    toCsv(rows, columns),
+    "text/csv;charset=utf-8"
+  );
+
+export const downloadJson = (filename, rows) =>
+  downloadFile(
+    `${filename}.json`,
+    JSON.stringify(rows, null, 2),
+    "application/json"
+  );
@@ -0,0 +1,119 @@
+import {
+  loadBudgetCategories,
+  getBudgetCategory,
+  UNCATEGORIZED,
+} from "./categories.js";
+import { createScopedKey } from "./storage.js";
+
+// Client-side realization filters. The backend only filters by month/year, so date ranges,
+// budgets, amounts and text are applied to the fetched list. Filters live in the URL query
+// string; named presets store that query in localStorage, per user and household (see
+// storage.js), since the budgets and categories they name belong to one household.
+
+const getPresetsKey = createScopedKey("realizationFilterPresets");
+
+// Query parameters that make up a realization filter (month/year are sent to the backend)
+export const FILTER_KEYS = [
+  "month",
+  "year",
+  "period",
+  "from",
+  "to",
+  "budgets",
+  "min",
+  "max",
+  "q",
+  "member",
+  "category",
+];
+
+export const DATE_PERIODS = [
+  { value: "this-month", label: "This month" },
+  { value: "last-month", label: "Last month" },
+  { value: "this-quarter", label: "This quarter" },
+  { value: "this-year", label: "This year" },
+  { value: "custom", label: "Custom range" },
+];
+
+const toIsoDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}-${String(date.getDate()).padStart(2, "0")}`;
+
+// Resolve a relative period against today, so a saved "this quarter" preset keeps up with the calendar
+export const getDateRange = ({ period, from, to }, today = new Date()) => {
+  const year = today.getFullYear();
+  const month = today.getMonth();
+  const range = (start, end) => ({
+    from: toIsoDate(start),
+    to: toIsoDate(end),
+  });
+  switch (period) {
+    case "this-month":
+      return range(new Date(year, month, 1), new Date(year, month + 1, 0));
+    case "last-month":
+      return range(new Date(year, month - 1, 1), new Date(year, month, 0));
+    case "this-quarter": {
+      const quarterStart = month - (month % 3);
+      return range(
+        new Date(year, quarterStart, 1),
+        new Date(year, quarterStart + 3, 0)
+      );
+    }
+    case "this-year":
+      return range(new Date(year, 0, 1), new Date(year, 11, 31));
+    default:
+      return { from: from || "", to: to || "" };
+  }
+};
+
+// Budget names are kept comma-separated in the "budgets" query parameter
+export const parseBudgetNames = (value) =>
+  value ? value.split(",").filter(Boolean) : [];
+
+export const formatBudgetNames = (names) => names.join(",");
+
+// Apply the client-side part of a filter. getBudgetName maps a realization to its budget's name;
+// "member" matches who entered the realization in a shared household and "category" the
+// category of its budget, looked up in categories (see loadBudgetCategories).
+export const filterRealizations = (
+  rows,
+  filters,
+  getBudgetName,
+  categories = loadBudgetCategories()
+) => {
+  const { from, to } = getDateRange(filters);
+  const budgetNames = parseBudgetNames(filters.budgets);
+  const min = parseFloat(filters.min);
+  const max = parseFloat(filters.max);
+  const text = (filters.q || "").trim().toLowerCase();
+  return rows.filter((row) => {
+    const amount = Number(row.amount);
+    return (
+      (!from || row.expense_date >= from) &&
+      (!to || row.expense_date <= to) &&
+      (budgetNames.length === 0 || budgetNames.includes(getBudgetName(row))) &&
+      (isNaN(min) || amount >= min) &&
+      (isNaN(max) || amount <= max) &&
+      (!text || (row.name || "").toLowerCase().includes(text)) &&
+      (!filters.member || row.created_by === filters.member) &&
+      (!filters.category ||
+        (getBudgetCategory(getBudgetName(row), categories) || UNCATEGORIZED) ===
+          filters.category)
+    );
+  });
+};
+
+// [{ name, query }]
+export const loadFilterPresets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(getPresetsKey())) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveFilterPresets = (presets) => {
+  localStorage.setItem(getPresetsKey(), JSON.stringify(presets));
+};
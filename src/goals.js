@@ -0,0 +1,125 @@
+import { toMonthKey } from "./recurring.js";
+import { createScopedKey } from "./storage.js";
+
+// Savings goals and sinking funds ("New roof: 5,000 by Dec 2027").
+// The backend has no goals, so they are kept in localStorage (see storage.js). Contributions
+// are ordinary realizations in the goal's savings budget (every month's budget of that name),
+// so the amount saved always follows the realizations actually booked there.
+
+const getStorageKey = createScopedKey("savingsGoals");
+
+export const GOAL_STATUSES = {
+  complete: { label: "Complete", className: "bg-green-100 text-green-800" },
+  "on-track": { label: "On track", className: "bg-blue-100 text-blue-800" },
+  behind: { label: "Behind", className: "bg-red-100 text-red-800" },
+};
+
+// [{ id, name, target, targetMonth: "YYYY-MM", monthlyContribution, budgetName }]
+export const loadGoals = () => {
+  try {
+    return JSON.parse(localStorage.getItem(getStorageKey())) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveGoals = (goals) => {
+  localStorage.setItem(getStorageKey(), JSON.stringify(goals));
+};
+
+const parseMonthKey = (monthKey) => monthKey.split("-").map(Number);
+
+const addMonths = (monthKey, count) => {
+  const [year, month] = parseMonthKey(monthKey);
+  const date = new Date(year, month - 1 + count, 1);
+  return toMonthKey(date.getFullYear(), date.getMonth() + 1);
+};
+
+// Whole months from one "YYYY-MM" to another (negative when `to` is earlier)
+const monthsBetween = (from, to) => {
+  const [fromYear, fromMonth] = parseMonthKey(from);
+  const [toYear, toMonth] = parseMonthKey(to);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+};
+
+// The realizations booked in the goal's savings budget, oldest first:
+// [{ realizationId, amount, date: "YYYY-MM-DD" }]
+export const getContributions = (goal, budgets, realizations) => {
+  const budgetIds = new Set(
+    budgets
+      .filter((budget) => budget.name === goal.budgetName)
+      .map((budget) => budget.id)
+  );
+  return realizations
+    .filter((r) => budgetIds.has(r.budget_id))
+    .map((r) => ({
+      realizationId: r.id,
+      amount: Number(r.amount),
+      date: r.expense_date,
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// The functions below take a goal with its `contributions` (see getContributions)
+
+export const getSavedAmount = (goal) =>
+  Math.round(
+    goal.contributions.reduce((sum, c) => sum + Number(c.amount), 0) * 100
+  ) / 100;
+
+export const getRemainingAmount = (goal) =>
+  Math.max(0, Math.round((goal.target - getSavedAmount(goal)) * 100) / 100);
+
+// The next month a contribution is expected: this month until one has been made in it
+const getNextContributionMonth = (goal, today) => {
+  const thisMonth = toMonthKey(today.getFullYear(), today.getMonth() + 1);
+  const contributedThisMonth = goal.contributions.some((c) =>
+    c.date.startsWith(thisMonth)
+  );
+  return contributedThisMonth ? addMonths(thisMonth, 1) : thisMonth;
+};
+
+// "YYYY-MM" the goal is reached at the planned monthly contribution; null if it never is
+export const getProjectedCompletion = (goal, today = new Date()) => {
+  const remaining = getRemainingAmount(goal);
+  if (remaining === 0) {
+    return goal.contributions.length
+      ? goal.contributions[goal.contributions.length - 1].date.slice(0, 7)
+      : toMonthKey(today.getFullYear(), today.getMonth() + 1);
+  }
+  if (!(goal.monthlyContribution > 0)) {
+    return null;
+  }
+  return addMonths(
+    getNextContributionMonth(goal, today),
+    Math.ceil(remaining / goal.monthlyContribution) - 1
+  );
+};
+
+// Monthly amount needed from now on to reach the target by its month; null once that month has passed
+export const getRequiredMonthly = (goal, today = new Date()) => {
+  const monthsLeft =
+    monthsBetween(getNextContributionMonth(goal, today), goal.targetMonth) + 1;
+  if (monthsLeft <= 0) {
+    return null;
+  }
+  return Math.ceil((getRemainingAmount(goal) / monthsLeft) * 100) / 100;
+};
+
+// "complete", "on-track" or "behind" (see GOAL_STATUSES)
+export const getGoalStatus = (goal, today = new Date()) => {
+  if (getRemainingAmount(goal) === 0) {
+    return "complete";
+  }
+  const projected = getProjectedCompletion(goal, today);
+  return projected && projected <= goal.targetMonth ? "on-track" : "behind";
+};
+
+// "Dec 2027" for a "YYYY-MM" key
+export const formatMonthKey = (monthKey) => {
+  const [year, month] = parseMonthKey(monthKey);
+  return new Date(year, month - 1, 1).toLocaleDateString(undefined, {
+    month: "short",
+    year: "numeric",
+  });
+};
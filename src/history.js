@@ -0,0 +1,231 @@
+import { useSyncExternalStore } from "react";
+import { apiCall } from "./api.js";
+import { removeFromSplitGroup } from "./splits.js";
+import { createScopedKey } from "./storage.js";
+
+// Client-side activity log of budget and realization changes, with before/after values so
+// each change can be reviewed and undone. Only changes the server confirmed are recorded:
+// changes queued offline have no server ids yet. Each user and household has its own log, so
+// an undo always goes to the household the change was made in.
+// An entry is { id, at, entity: "budget" | "realization", action: "create" | "update" |
+// "delete", before, after, related: [realization], undoOf, undoneAt }. related holds the
+// realizations deleted along with a budget; undoOf is the id of the entry an undo reversed.
+
+const getStorageKey = createScopedKey("activityLog");
+const MAX_ENTRIES = 200;
+
+// Fields sent back to the server when an item is restored or recreated
+const ENTITY_FIELDS = {
+  budget: ["name", "limit", "budget_month", "budget_year"],
+  realization: ["name", "amount", "expense_date", "budget_id"],
+};
+
+const ENDPOINTS = {
+  budget: "/budgets/",
+  realization: "/realizations/",
+};
+
+const readLog = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || [];
+  } catch {
+    return [];
+  }
+};
+
+let log = { key: null, entries: [] }; // entries newest first
+
+// The current user's and household's entries, read again when either changes
+const getEntries = () => {
+  const key = getStorageKey();
+  if (log.key !== key) {
+    log = { key, entries: readLog(key) };
+  }
+  return log.entries;
+};
+
+const listeners = new Set();
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const setEntries = (next) => {
+  log = { key: getStorageKey(), entries: next.slice(0, MAX_ENTRIES) };
+  localStorage.setItem(log.key, JSON.stringify(log.entries));
+  listeners.forEach((listener) => listener());
+};
+
+export const useActivityLog = () => useSyncExternalStore(subscribe, getEntries);
+
+// Record a confirmed change and return the entry, e.g. for an "Undo" action
+export const recordActivity = ({
+  entity,
+  action,
+  before = null,
+  after = null,
+  related = [],
+  undoOf = null,
+}) => {
+  const entry = {
+    id: Date.now() + Math.random(),
+    at: new Date().toISOString(),
+    entity,
+    action,
+    before,
+    after,
+    related,
+    undoOf,
+    undoneAt: null,
+  };
+  setEntries([entry, ...getEntries()]);
+  return entry;
+};
+
+export const clearActivityLog = () => setEntries([]);
+
+const pickFields = (entity, item) =>
+  Object.fromEntries(ENTITY_FIELDS[entity].map((key) => [key, item[key]]));
+
+// Field-by-field differences of an update: [{ field, before, after }]
+export const getChangedFields = (entry) =>
+  ENTITY_FIELDS[entry.entity]
+    .filter(
+      (field) =>
+        entry.before &&
+        entry.after &&
+        String(entry.before[field]) !== String(entry.after[field])
+    )
+    .map((field) => ({
+      field,
+      before: entry.before[field],
+      after: entry.after[field],
+    }));
+
+// The realizations booked on a budget, which are deleted along with it
+export const getBudgetRealizations = async (budget, token) => {
+  const data = await apiCall(
+    `/realizations/?month=${budget.budget_month}&year=${budget.budget_year}`,
+    "GET",
+    null,
+    token
+  );
+  return (data || []).filter((r) => r.budget_id === budget.id);
+};
+
+const markUndone = (entryId) =>
+  setEntries(
+    getEntries().map((item) =>
+      item.id === entryId
+        ? { ...item, undoneAt: new Date().toISOString() }
+        : item
+    )
+  );
+
+// A recreated item gets a new id: point the entries about the old one at it, so they can
+// still be undone. For a budget, that includes realizations booked on it.
+const remapId = (entity, oldId, newId) => {
+  const remapItem = (entryEntity, item) => {
+    if (item && entryEntity === entity && item.id === oldId) {
+      return { ...item, id: newId };
+    }
+    if (item && entryEntity === "realization" && item.budget_id === oldId) {
+      return entity === "budget" ? { ...item, budget_id: newId } : item;
+    }
+    return item;
+  };
+  setEntries(
+    getEntries().map((entry) => ({
+      ...entry,
+      before: remapItem(entry.entity, entry.before),
+      after: remapItem(entry.entity, entry.after),
+    }))
+  );
+};
+
+// Reverse a change on the server: delete what was created, put back what was updated and
+// recreate what was deleted (a budget together with its realizations). The undo is recorded
+// as an entry of its own, so it can be reversed in turn. Undoing a budget's creation deletes
+// its realizations too: pass them as `related` (see getBudgetRealizations) so undoing that
+// brings them back.
+export const undoActivity = async (entry, token, related = []) => {
+  // The stored entry, whose ids may have been remapped since the caller got it
+  const current = getEntries().find((item) => item.id === entry.id);
+  if (!current) {
+    throw new Error(
+      "This change was made in another household or account. Switch back to it to undo it."
+    );
+  }
+  if (current.undoneAt) {
+    throw new Error("This change has already been undone.");
+  }
+  const { entity } = current;
+  const endpoint = ENDPOINTS[entity];
+  if (current.action === "create") {
+    await apiCall(`${endpoint}${current.after.id}`, "DELETE", null, token);
+    if (entity === "realization") {
+      removeFromSplitGroup(current.after.id);
+    }
+    markUndone(current.id);
+    recordActivity({
+      entity,
+      action: "delete",
+      before: current.after,
+      related,
+      undoOf: current.id,
+    });
+    return;
+  }
+  if (current.action === "update") {
+    await apiCall(
+      `${endpoint}${current.before.id}`,
+      "PUT",
+      pickFields(entity, current.before),
+      token
+    );
+    markUndone(current.id);
+    recordActivity({
+      entity,
+      action: "update",
+      before: current.after,
+      after: current.before,
+      undoOf: current.id,
+    });
+    return;
+  }
+  const fields = pickFields(entity, current.before);
+  const restored = await apiCall(endpoint, "POST", fields, token);
+  // Marked undone right away, so a failure below can't lead to a second copy on retry
+  markUndone(current.id);
+  remapId(entity, current.before.id, restored.id);
+  recordActivity({
+    entity,
+    action: "create",
+    after: { ...fields, ...restored },
+    undoOf: current.id,
+  });
+  const failed = [];
+  for (const realization of current.related) {
+    try {
+      const created = await apiCall(
+        ENDPOINTS.realization,
+        "POST",
+        { ...pickFields("realization", realization), budget_id: restored.id },
+        token
+      );
+      remapId("realization", realization.id, created.id);
+    } catch {
+      failed.push(realization);
+    }
+  }
+  if (failed.length > 0) {
+    throw new Error(
+      `The budget was restored, but ${failed.length} of its ${
+        current.related.length
+      } realizations could not be: ${failed
+        .map((r) => `${r.expense_date} ${r.name}`)
+        .join(", ")}. Add them again from Realizations.`
+    );
+  }
+};
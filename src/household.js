@@ -0,0 +1,104 @@
+import { useSyncExternalStore } from "react";
+import { apiCall, setHouseholdId } from "./api.js";
+
+// Shared households: several registered users working on the same budgets and realizations.
+// Backend endpoints:
+//   GET    /households/                          households the user belongs to
+//   POST   /households/                          { name } -> household (creator becomes owner)
+//   POST   /households/{id}/members/             { username, role } invite a registered user
+//   PUT    /households/{id}/members/{username}   { role }
+//   DELETE /households/{id}/members/{username}
+// A household is { id, name, members: [{ username, role }] }. While one is active, every
+// request carries its id (see setHouseholdId) and realizations report who entered them
+// in created_by.
+
+const STORAGE_KEY = "activeHousehold";
+
+export const ROLES = [
+  { value: "owner", label: "Owner" }, // Manages members
+  { value: "editor", label: "Editor" }, // Adds and changes budgets and realizations
+  { value: "viewer", label: "Viewer" }, // Read-only
+];
+
+// --- Active Household ---
+
+const readActive = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+let active = readActive(); // { id, name, role, members } or null for personal budgets
+setHouseholdId(active?.id ?? null);
+
+const listeners = new Set();
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const useActiveHousehold = () =>
+  useSyncExternalStore(subscribe, () => active);
+
+export const getActiveHousehold = () => active;
+
+// Switch to a household (null for personal budgets), recording the user's role in it
+export const setActiveHousehold = (household, username) => {
+  active = household
+    ? {
+        id: household.id,
+        name: household.name,
+        role: getMemberRole(household, username),
+        members: household.members.map((member) => member.username),
+      }
+    : null;
+  if (active) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(active));
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+  setHouseholdId(active?.id ?? null);
+  listeners.forEach((listener) => listener());
+};
+
+export const getMemberRole = (household, username) =>
+  household.members.find((member) => member.username === username)?.role ||
+  null;
+
+// Viewers can look but not change anything; personal budgets are always editable
+export const canEditHousehold = (household) => household?.role !== "viewer";
+
+// --- API ---
+
+export const fetchHouseholds = (token) =>
+  apiCall("/households/", "GET", null, token);
+
+export const createHousehold = (name, token) =>
+  apiCall("/households/", "POST", { name }, token);
+
+export const inviteMember = (householdId, username, role, token) =>
+  apiCall(
+    `/households/${householdId}/members/`,
+    "POST",
+    { username, role },
+    token
+  );
+
+export const updateMemberRole = (householdId, username, role, token) =>
+  apiCall(
+    `/households/${householdId}/members/${encodeURIComponent(username)}`,
+    "PUT",
+    { role },
+    token
+  );
+
+export const removeMember = (householdId, username, token) =>
+  apiCall(
+    `/households/${householdId}/members/${encodeURIComponent(username)}`,
+    "DELETE",
+    null,
+    token
+  );
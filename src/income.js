@@ -0,0 +1,78 @@
+import { createScopedKey } from "./storage.js";
+
+// Income entries (salary, side jobs, refunds) and the monthly cash flow they make possible.
+// The backend only records spending, so income is kept in localStorage (see storage.js).
+
+const getStorageKey = createScopedKey("incomeEntries");
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// [{ id, date: "YYYY-MM-DD", source, amount }]
+export const loadIncome = () => {
+  try {
+    return JSON.parse(localStorage.getItem(getStorageKey())) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveIncome = (entries) => {
+  localStorage.setItem(getStorageKey(), JSON.stringify(entries));
+};
+
+const isInMonth = (isoDate, year, month) =>
+  isoDate.startsWith(`${year}-${String(month).padStart(2, "0")}-`);
+
+export const getMonthlyIncome = (entries, year, month) =>
+  roundAmount(
+    entries
+      .filter((entry) => isInMonth(entry.date, year, month))
+      .reduce((sum, entry) => sum + Number(entry.amount), 0)
+  );
+
+// Income against the month's budgets: what is left after spending (income - realized) and
+// how much income no budget has been planned for yet (income - limits)
+export const getCashFlow = (entries, budgets, year, month) => {
+  const monthBudgets = budgets.filter(
+    (budget) =>
+      budget.budget_year === year &&
+      budget.budget_month === month &&
+      !budget.pendingDelete
+  );
+  const income = getMonthlyIncome(entries, year, month);
+  const budgeted = roundAmount(
+    monthBudgets.reduce((sum, budget) => sum + Number(budget.limit), 0)
+  );
+  const realized = roundAmount(
+    monthBudgets.reduce(
+      (sum, budget) => sum + Number(budget.total_realized || 0),
+      0
+    )
+  );
+  return {
+    year,
+    month,
+    income,
+    budgeted,
+    realized,
+    net: roundAmount(income - realized),
+    leftToBudget: roundAmount(income - budgeted),
+  };
+};
+
+// Money still unallocated in a month if a budget with this limit is saved.
+// excludeId leaves out the budget being edited, whose old limit the new one replaces.
+export const getLeftToBudget = (
+  entries,
+  budgets,
+  year,
+  month,
+  limit,
+  excludeId = null
+) => {
+  const others = budgets.filter((budget) => budget.id !== excludeId);
+  return roundAmount(
+    getCashFlow(entries, others, year, month).leftToBudget -
+      (parseFloat(limit) || 0)
+  );
+};
@@ -0,0 +1,111 @@
+import { useSyncExternalStore } from "react";
+
+// App-wide notifications: stackable toasts and a confirmation dialog. Both can be raised from
+// any component or handler; ToastRegion and ConfirmDialog (toasts.jsx) render them.
+
+export const SEVERITIES = ["success", "info", "warning", "error"];
+
+const MAX_TOASTS = 5;
+const TOAST_DURATION_MS = 5000;
+const LONG_TOAST_DURATION_MS = 10000; // Errors and toasts with an action stay up longer
+
+let state = {
+  toasts: [], // [{ id, text, type, action: { label, onClick } | null }], oldest first
+  confirmation: null, // { title, message, details, confirmLabel, danger, resolve }
+};
+const listeners = new Set();
+let nextToastId = 1;
+// Auto-dismiss timers by toast id: { timer, remaining, startedAt, pausedBy: Set }
+const timers = new Map();
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  listeners.forEach((listener) => listener());
+};
+
+export const useNotifications = () =>
+  useSyncExternalStore(subscribe, () => state);
+
+// --- Toasts ---
+
+export const dismissToast = (id) => {
+  clearTimeout(timers.get(id)?.timer);
+  timers.delete(id);
+  setState({ toasts: state.toasts.filter((toast) => toast.id !== id) });
+};
+
+const startTimer = (id) => {
+  const entry = timers.get(id);
+  entry.startedAt = Date.now();
+  entry.timer = setTimeout(() => dismissToast(id), entry.remaining);
+};
+
+// Keep a toast up while it is hovered or focused (reason: "hover" | "focus"), so its action
+// can still be reached; the countdown continues once neither applies.
+export const pauseToast = (id, reason) => {
+  const entry = timers.get(id);
+  if (!entry) {
+    return;
+  }
+  if (entry.pausedBy.size === 0) {
+    clearTimeout(entry.timer);
+    entry.remaining -= Date.now() - entry.startedAt;
+  }
+  entry.pausedBy.add(reason);
+};
+
+export const resumeToast = (id, reason) => {
+  const entry = timers.get(id);
+  if (!entry || !entry.pausedBy.delete(reason) || entry.pausedBy.size > 0) {
+    return;
+  }
+  startTimer(id);
+};
+
+// Show a toast; type is one of SEVERITIES. Returns the toast id.
+export const notify = (text, type = "info", action = null) => {
+  const id = nextToastId++;
+  const toasts = [...state.toasts, { id, text, type, action }];
+  // Toasts pushed out of the stack are dismissed, timers and all
+  toasts.slice(0, -MAX_TOASTS).forEach((toast) => {
+    clearTimeout(timers.get(toast.id)?.timer);
+    timers.delete(toast.id);
+  });
+  setState({ toasts: toasts.slice(-MAX_TOASTS) });
+  timers.set(id, {
+    remaining:
+      type === "error" || action ? LONG_TOAST_DURATION_MS : TOAST_DURATION_MS,
+    pausedBy: new Set(),
+  });
+  startTimer(id);
+  return id;
+};
+
+// --- Confirmation ---
+
+// Ask the user to confirm an action. Resolves to true when confirmed, false when cancelled.
+// details lists what will be affected, e.g. the realizations deleted along with a budget.
+export const confirmAction = ({
+  title,
+  message,
+  details = [],
+  confirmLabel = "Delete",
+  danger = true,
+}) =>
+  new Promise((resolve) => {
+    // A dialog that is still open counts as cancelled
+    state.confirmation?.resolve(false);
+    setState({
+      confirmation: { title, message, details, confirmLabel, danger, resolve },
+    });
+  });
+
+export const resolveConfirmation = (confirmed) => {
+  state.confirmation?.resolve(confirmed);
+  setState({ confirmation: null });
+};
@@ -0,0 +1,322 @@
+import { useSyncExternalStore } from "react";
+import { apiCall, getHouseholdId, NetworkError, TimeoutError } from "./api.js";
+
+// Offline support: GET responses are cached in IndexedDB so pages still render when the
+// backend is unreachable, and mutations made while offline are queued and replayed in order.
+
+const DB_NAME = "house-finance";
+const DB_VERSION = 1;
+const CACHE_STORE = "cache"; // cache key -> { data, cachedAt }
+const QUEUE_STORE = "queue"; // { id, method, endpoint, data, meta, status, error, createdAt }
+
+// Rows created while offline get a placeholder id tied to their queue entry
+const PENDING_ID_PREFIX = "pending-";
+
+// --- IndexedDB ---
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(CACHE_STORE);
+        request.result.createObjectStore(QUEUE_STORE, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request against a store and resolve with its result once the transaction commits
+const withStore = async (storeName, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+// --- Observable State ---
+
+let state = { offline: false, syncing: false, queue: [], syncVersion: 0 };
+const listeners = new Set();
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  listeners.forEach((listener) => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// { offline, syncing, queue, syncVersion }; syncVersion increments after each successful sync
+export const useOfflineState = () =>
+  useSyncExternalStore(subscribe, () => state);
+
+export const getOfflineState = () => state;
+
+// A POST that timed out may have been saved by the server anyway and sending it again could
+// create a duplicate, so it isn't queued, and a queued one waits for the user to check it
+const isUncertainCreate = (method, error) =>
+  method === "POST" && error instanceof TimeoutError;
+
+const UNCERTAIN_CREATE_MESSAGE =
+  "The server took too long to respond and may have saved this already. Check before retrying.";
+
+const loadQueue = async () => {
+  const queue = await withStore(QUEUE_STORE, "readonly", (store) =>
+    store.getAll()
+  );
+  setState({ queue });
+};
+
+loadQueue().catch((error) =>
+  console.error("Failed to load offline queue:", error)
+);
+
+// --- Cached Reads ---
+
+// Responses differ per household, so the active one is part of the key
+const getCacheKey = (endpoint) =>
+  `${getHouseholdId() ?? "personal"}:${endpoint}`;
+
+// GET through the API, falling back to the last cached response when the backend is unreachable
+export const cachedGet = async (endpoint, token) => {
+  const cacheKey = getCacheKey(endpoint);
+  try {
+    const data = await apiCall(endpoint, "GET", null, token);
+    setState({ offline: false });
+    withStore(CACHE_STORE, "readwrite", (store) =>
+      store.put({ data, cachedAt: Date.now() }, cacheKey)
+    ).catch((error) => console.error("Failed to cache response:", error));
+    return data;
+  } catch (error) {
+    if (!(error instanceof NetworkError)) {
+      throw error;
+    }
+    setState({ offline: true });
+    const cached = await withStore(CACHE_STORE, "readonly", (store) =>
+      store.get(cacheKey)
+    ).catch(() => null);
+    if (!cached) {
+      throw error;
+    }
+    return cached.data;
+  }
+};
+
+// --- Queued Writes ---
+
+// Called with (item, result) once a queued change reaches the server, so local data kept in
+// the item's meta can be attached to the id the server assigned
+const syncedHandlers = new Set();
+
+export const onQueueItemSynced = (handler) => {
+  syncedHandlers.add(handler);
+  return () => syncedHandlers.delete(handler);
+};
+
+const enqueue = async (method, endpoint, data, meta) => {
+  await withStore(QUEUE_STORE, "readwrite", (store) =>
+    store.add({
+      method,
+      endpoint,
+      data,
+      meta: meta ?? null,
+      status: "pending",
+      error: null,
+      createdAt: Date.now(),
+    })
+  );
+  await loadQueue();
+};
+
+const updateQueueItem = async (id, changes) => {
+  const item = state.queue.find((queued) => queued.id === id);
+  if (!item) {
+    return;
+  }
+  await withStore(QUEUE_STORE, "readwrite", (store) =>
+    store.put({ ...item, ...changes })
+  );
+  await loadQueue();
+};
+
+export const discardQueueItem = async (id) => {
+  await withStore(QUEUE_STORE, "readwrite", (store) => store.delete(id));
+  await loadQueue();
+};
+
+// POST/PUT/DELETE that is queued instead of failing when the backend is unreachable.
+// Resolves to the response data, or { queued: true } when the change awaits sync.
+// meta is kept with a queued change and handed to onQueueItemSynced handlers.
+export const queuedMutation = async (
+  endpoint,
+  method,
+  data,
+  token,
+  meta = undefined
+) => {
+  // Changes to a row that only exists in the queue amend or cancel its queued create
+  const pendingMatch = endpoint.match(
+    new RegExp(`/${PENDING_ID_PREFIX}(\\d+)$`)
+  );
+  if (pendingMatch) {
+    const id = parseInt(pendingMatch[1]);
+    if (method === "DELETE") {
+      await discardQueueItem(id);
+    } else {
+      const item = state.queue.find((queued) => queued.id === id);
+      await updateQueueItem(id, {
+        data: { ...item?.data, ...data },
+        meta: meta === undefined ? item?.meta : meta,
+        status: "pending",
+        error: null,
+      });
+    }
+    return { queued: true };
+  }
+
+  // Anything already waiting must reach the server first to keep changes in order
+  if (state.queue.length > 0) {
+    await enqueue(method, endpoint, data, meta);
+    replayQueue(token);
+    return { queued: true };
+  }
+
+  try {
+    const result = await apiCall(endpoint, method, data, token);
+    setState({ offline: false });
+    return result;
+  } catch (error) {
+    if (!(error instanceof NetworkError)) {
+      throw error;
+    }
+    if (isUncertainCreate(method, error)) {
+      throw new TimeoutError(UNCERTAIN_CREATE_MESSAGE);
+    }
+    setState({ offline: true });
+    await enqueue(method, endpoint, data, meta);
+    return { queued: true };
+  }
+};
+
+// Send queued changes oldest first. Stops at the first change the server rejects, which is
+// marked failed until the user retries or discards it, or when the backend is still unreachable.
+export const replayQueue = async (token) => {
+  if (state.syncing || !token) {
+    return;
+  }
+  setState({ syncing: true });
+  let synced = 0;
+  try {
+    for (const item of state.queue) {
+      if (item.status === "failed") {
+        break;
+      }
+      try {
+        const result = await apiCall(
+          item.endpoint,
+          item.method,
+          item.data,
+          token,
+          { retries: 0 }
+        );
+        syncedHandlers.forEach((handler) => handler(item, result));
+        await discardQueueItem(item.id);
+        synced++;
+        setState({ offline: false });
+      } catch (error) {
+        if (isUncertainCreate(item.method, error)) {
+          await updateQueueItem(item.id, {
+            status: "failed",
+            error: UNCERTAIN_CREATE_MESSAGE,
+          });
+        } else if (error instanceof NetworkError) {
+          setState({ offline: true });
+        } else {
+          await updateQueueItem(item.id, {
+            status: "failed",
+            error: error.message,
+          });
+        }
+        break;
+      }
+    }
+  } finally {
+    setState({
+      syncing: false,
+      syncVersion: synced > 0 ? state.syncVersion + 1 : state.syncVersion,
+    });
+  }
+};
+
+// Put a rejected change back in line, optionally with corrected data, and sync again
+export const retryQueueItem = async (id, data, token) => {
+  const changes = { status: "pending", error: null };
+  if (data) {
+    changes.data = data;
+  }
+  await updateQueueItem(id, changes);
+  await replayQueue(token);
+};
+
+// Remove everything stored for the current user (on logout)
+export const clearOfflineData = async () => {
+  await withStore(CACHE_STORE, "readwrite", (store) => store.clear());
+  await withStore(QUEUE_STORE, "readwrite", (store) => store.clear());
+  await loadQueue();
+};
+
+// --- Merging Pending Changes Into Lists ---
+
+// Overlay queued changes for a collection (e.g. "/budgets/") onto rows fetched from the server.
+// Rows touched by the queue carry syncStatus: 'pending' | 'failed' and pendingDelete when removed.
+// acceptCreated lets callers drop queued creates that fall outside their current filter.
+export const applyPendingChanges = (
+  rows,
+  queue,
+  collection,
+  acceptCreated = () => true
+) => {
+  let merged = [...rows];
+  queue
+    .filter((item) => item.endpoint.startsWith(collection))
+    .forEach((item) => {
+      const id = item.endpoint.slice(collection.length);
+      if (item.method === "POST" && id === "") {
+        if (!acceptCreated(item.data)) {
+          return;
+        }
+        merged.push({
+          ...item.data,
+          id: `${PENDING_ID_PREFIX}${item.id}`,
+          syncStatus: item.status,
+        });
+      } else if (item.method === "PUT") {
+        merged = merged.map((row) =>
+          String(row.id) === id
+            ? { ...row, ...item.data, syncStatus: item.status }
+            : row
+        );
+      } else if (item.method === "DELETE") {
+        merged = merged.map((row) =>
+          String(row.id) === id
+            ? { ...row, syncStatus: item.status, pendingDelete: true }
+            : row
+        );
+      }
+    });
+  return merged;
+};
@@ -0,0 +1,137 @@
+import { createScopedKey } from "./storage.js";
+
+// Annual budget planning: a grid of budget names by month whose limits are saved as ordinary
+// /budgets/ records, bulk-fill helpers, and named templates (e.g. "Lean month") of budget
+// limits that can be applied to any month. Templates are kept in localStorage (see storage.js).
+
+const getTemplatesKey = createScopedKey("budgetTemplates");
+
+export const MONTHS = Array.from({ length: 12 }, (_, i) => i + 1);
+
+export const FILL_MODES = [
+  { value: "same", label: "Same every month" },
+  { value: "quarter", label: "Grow % per quarter" },
+  { value: "month", label: "Grow % per month" },
+];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// { [name]: { [month]: limit as string } } for the given year, from existing budgets
+export const buildPlannerGrid = (budgets, year) => {
+  const grid = {};
+  budgets
+    .filter((budget) => budget.budget_year === year && !budget.pendingDelete)
+    .forEach((budget) => {
+      grid[budget.name] = {
+        ...grid[budget.name],
+        [budget.budget_month]: String(budget.limit),
+      };
+    });
+  return grid;
+};
+
+// Fill a row from its January value (or the first month with a value): the same amount every
+// month, or growing by `percent` at the start of each quarter or each month
+export const fillRow = (row, mode, percent = 0) => {
+  const startMonth = MONTHS.find(
+    (month) => row[month] !== undefined && row[month] !== ""
+  );
+  if (startMonth === undefined) {
+    return row;
+  }
+  const base = parseFloat(row[startMonth]) || 0;
+  const rate = 1 + (parseFloat(percent) || 0) / 100;
+  const filled = { ...row };
+  MONTHS.filter((month) => month >= startMonth).forEach((month) => {
+    const steps =
+      mode === "quarter"
+        ? Math.floor((month - 1) / 3) - Math.floor((startMonth - 1) / 3)
+        : mode === "month"
+        ? month - startMonth
+        : 0;
+    filled[month] = String(roundAmount(base * rate ** steps));
+  });
+  return filled;
+};
+
+export const getRowTotal = (row) =>
+  roundAmount(
+    MONTHS.reduce((sum, month) => sum + (parseFloat(row[month]) || 0), 0)
+  );
+
+export const getMonthTotal = (grid, month) =>
+  roundAmount(
+    Object.values(grid).reduce(
+      (sum, row) => sum + (parseFloat(row[month]) || 0),
+      0
+    )
+  );
+
+// The requests that turn the grid into budgets: a POST for each new cell and a PUT for each
+// changed limit. Cleared cells leave existing budgets alone.
+export const getPlannerChanges = (budgets, grid, year) => {
+  const changes = [];
+  Object.entries(grid).forEach(([name, row]) => {
+    MONTHS.forEach((month) => {
+      const value = row[month];
+      if (value === undefined || value === "") {
+        return;
+      }
+      const limit = parseFloat(value);
+      const existing = budgets.find(
+        (budget) =>
+          budget.name === name &&
+          budget.budget_month === month &&
+          budget.budget_year === year &&
+          !budget.pendingDelete
+      );
+      const data = { name, limit, budget_month: month, budget_year: year };
+      if (!existing) {
+        changes.push({ method: "POST", endpoint: "/budgets/", data });
+      } else if (Number(existing.limit) !== limit) {
+        changes.push({
+          method: "PUT",
+          endpoint: `/budgets/${existing.id}`,
+          data,
+          before: existing,
+        });
+      }
+    });
+  });
+  return changes;
+};
+
+// --- Templates ---
+
+// [{ name, lines: [{ name, limit }] }]
+export const loadTemplates = () => {
+  try {
+    return JSON.parse(localStorage.getItem(getTemplatesKey())) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveTemplates = (templates) => {
+  localStorage.setItem(getTemplatesKey(), JSON.stringify(templates));
+};
+
+// A template from one month of the grid
+export const getTemplateFromMonth = (name, grid, month) => ({
+  name,
+  lines: Object.entries(grid)
+    .filter(([, row]) => row[month] !== undefined && row[month] !== "")
+    .map(([budgetName, row]) => ({
+      name: budgetName,
+      limit: parseFloat(row[month]) || 0,
+    })),
+});
+
+// Set a month's limits from a template, adding rows for budget names the grid doesn't have yet
+export const applyTemplate = (grid, template, month) => {
+  const next = { ...grid };
+  template.lines.forEach((line) => {
+    next[line.name] = { ...next[line.name], [month]: String(line.limit) };
+  });
+  return next;
+};
@@ -0,0 +1,92 @@
+import { createScopedKey } from "./storage.js";
+
+// Recurring expenses (rent, utilities, subscriptions).
+// The backend has no endpoint for these, so rules are kept in localStorage per user and
+// household. Each rule records the months already reviewed so a confirmed or skipped bill
+// isn't offered again, while a month nobody reviewed stays due until someone does.
+
+const getStorageKey = createScopedKey("recurringRules");
+
+export const FREQUENCIES = [
+  { value: "monthly", label: "Monthly", interval: 1 },
+  { value: "quarterly", label: "Quarterly", interval: 3 },
+  { value: "yearly", label: "Yearly", interval: 12 },
+];
+
+// [{ id, description, amount, budgetName, dayOfMonth, frequency, startMonth: "YYYY-MM", reviewedMonths: ["YYYY-MM"] }]
+export const loadRecurringRules = () => {
+  try {
+    return JSON.parse(localStorage.getItem(getStorageKey())) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveRecurringRules = (rules) => {
+  localStorage.setItem(getStorageKey(), JSON.stringify(rules));
+};
+
+export const toMonthKey = (year, month) =>
+  `${year}-${String(month).padStart(2, "0")}`;
+
+const monthsSince = (startMonth, year, month) => {
+  const [startYear, startMonthNumber] = startMonth.split("-").map(Number);
+  return (year - startYear) * 12 + (month - startMonthNumber);
+};
+
+export const isRuleDueInMonth = (rule, year, month) => {
+  const interval =
+    FREQUENCIES.find((frequency) => frequency.value === rule.frequency)
+      ?.interval || 1;
+  const elapsed = monthsSince(rule.startMonth, year, month);
+  return elapsed >= 0 && elapsed % interval === 0;
+};
+
+// Every bill from the rules' start up to the given month that hasn't been confirmed or skipped
+// yet, oldest first: [{ rule, year, month }]
+export const getDueOccurrences = (rules, year, month) => {
+  const occurrences = [];
+  rules.forEach((rule) => {
+    const [startYear, startMonth] = rule.startMonth.split("-").map(Number);
+    for (
+      let date = new Date(startYear, startMonth - 1, 1);
+      date <= new Date(year, month - 1, 1);
+      date.setMonth(date.getMonth() + 1)
+    ) {
+      const occurrenceYear = date.getFullYear();
+      const occurrenceMonth = date.getMonth() + 1;
+      if (
+        isRuleDueInMonth(rule, occurrenceYear, occurrenceMonth) &&
+        !rule.reviewedMonths.includes(
+          toMonthKey(occurrenceYear, occurrenceMonth)
+        )
+      ) {
+        occurrences.push({
+          rule,
+          year: occurrenceYear,
+          month: occurrenceMonth,
+        });
+      }
+    }
+  });
+  return occurrences.sort(
+    (a, b) => a.year * 12 + a.month - (b.year * 12 + b.month)
+  );
+};
+
+// "YYYY-MM-DD" for the rule's day in the given month; day 31 falls on the last day of shorter months
+export const getOccurrenceDate = (rule, year, month) => {
+  const lastDay = new Date(year, month, 0).getDate();
+  const day = Math.min(rule.dayOfMonth, lastDay);
+  return `${toMonthKey(year, month)}-${String(day).padStart(2, "0")}`;
+};
+
+export const markRuleReviewed = (rules, ruleId, year, month) =>
+  rules.map((rule) =>
+    rule.id === ruleId
+      ? {
+          ...rule,
+          reviewedMonths: [...rule.reviewedMonths, toMonthKey(year, month)],
+        }
+      : rule
+  );
@@ -0,0 +1,105 @@
+import { createScopedKey } from "./storage.js";
+
+// Rolling budgets: the surplus or deficit of a month (limit + carried - realized) carries into
+// the next month's budget of the same name, for sinking funds such as car maintenance or
+// gifts. The backend has no such flag, so it is kept in localStorage (see storage.js) by
+// budget id, for the budgets it was switched on or off for. A budget without a setting of
+// its own follows the budget of the same name the month before, so rolling applies from the
+// month it was switched on onward, including budgets created later.
+
+const getStorageKey = createScopedKey("rolloverSettings");
+
+// { [budgetId]: true | false }
+export const loadRolloverSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(getStorageKey())) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const setBudgetRolling = (budgetId, rolling) => {
+  localStorage.setItem(
+    getStorageKey(),
+    JSON.stringify({ ...loadRolloverSettings(), [budgetId]: rolling })
+  );
+};
+
+const getPeriod = (budget) =>
+  Number(budget.budget_year) * 12 + Number(budget.budget_month);
+
+const getKey = (name, period) => `${name}|${period}`;
+
+// Resolves whether each budget rolls, memoized across calls
+const createRollingLookup = (byNameAndPeriod, settings) => {
+  const rolling = new Map(); // key -> boolean
+  const isRolling = (budget) => {
+    if (budget.id !== undefined && budget.id in settings) {
+      return settings[budget.id];
+    }
+    const key = getKey(budget.name, getPeriod(budget));
+    if (!rolling.has(key)) {
+      const previous = byNameAndPeriod.get(
+        getKey(budget.name, getPeriod(budget) - 1)
+      );
+      rolling.set(key, previous ? isRolling(previous) : false);
+    }
+    return rolling.get(key);
+  };
+  return isRolling;
+};
+
+const indexBudgets = (budgets) =>
+  new Map(
+    budgets
+      .filter((budget) => !budget.pendingDelete)
+      .map((budget) => [getKey(budget.name, getPeriod(budget)), budget])
+  );
+
+// Whether the budget's surplus or deficit carries into next month. budget may be one that
+// doesn't exist yet ({ name, budget_month, budget_year }), to get the setting it would follow.
+export const isBudgetRolling = (
+  budget,
+  budgets,
+  settings = loadRolloverSettings()
+) => createRollingLookup(indexBudgets(budgets), settings)(budget);
+
+// Add rolling, carryOver (from the previous months) and effectiveLimit (limit + carryOver) to
+// each budget. The chain follows consecutive months and stops at a month without a budget of
+// that name, or after a month whose budget doesn't roll.
+export const applyRollover = (budgets, settings = loadRolloverSettings()) => {
+  const byNameAndPeriod = indexBudgets(budgets);
+  const isRolling = createRollingLookup(byNameAndPeriod, settings);
+  const carried = new Map(); // budget -> carryOver, filled oldest first
+
+  const getCarryOver = (budget) => {
+    if (carried.has(budget)) {
+      return carried.get(budget);
+    }
+    const previous = byNameAndPeriod.get(
+      getKey(budget.name, getPeriod(budget) - 1)
+    );
+    const carryOver =
+      previous && isRolling(previous)
+        ? Math.round(
+            (Number(previous.limit) +
+              getCarryOver(previous) -
+              (Number(previous.total_realized) || 0)) *
+              100
+          ) / 100
+        : 0;
+    carried.set(budget, carryOver);
+    return carryOver;
+  };
+
+  return budgets.map((budget) => {
+    const carryOver = getCarryOver(budget);
+    return {
+      ...budget,
+      rolling: isRolling(budget),
+      carryOver,
+      effectiveLimit:
+        Math.round((Number(budget.limit) + carryOver) * 100) / 100,
+    };
+  });
+};
@@ -0,0 +1,82 @@
+import { useState, useEffect, useCallback } from "react";
+
+// Minimal client-side router on top of the History API
+
+const readLocation = () => ({
+  pathname: window.location.pathname,
+  search: window.location.search,
+  query: Object.fromEntries(new URLSearchParams(window.location.search)),
+});
+
+// Build "/path?key=value", dropping empty query values
+export const buildPath = (pathname, query = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== "" && value !== null && value !== undefined) {
+      params.set(key, value);
+    }
+  });
+  const search = params.toString();
+  return search ? `${pathname}?${search}` : pathname;
+};
+
+export const navigate = (to, { replace = false } = {}) => {
+  if (to === `${window.location.pathname}${window.location.search}`) {
+    return;
+  }
+  window.history[replace ? "replaceState" : "pushState"]({}, "", to);
+  // pushState doesn't fire popstate itself; notify every useLocation subscriber
+  window.dispatchEvent(new PopStateEvent("popstate"));
+};
+
+export const useLocation = () => {
+  const [location, setLocation] = useState(readLocation);
+
+  useEffect(() => {
+    const handlePopState = () => setLocation(readLocation());
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  return location;
+};
+
+// Match "/budgets/:id/edit" style patterns; returns the params or null
+export const matchPath = (pattern, pathname) => {
+  const patternParts = pattern.split("/").filter(Boolean);
+  const pathParts = pathname.split("/").filter(Boolean);
+  if (patternParts.length !== pathParts.length) {
+    return null;
+  }
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(":")) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+// Read and write a single query parameter, so filters survive refreshes and can be shared.
+// Updates replace the current history entry rather than adding one per keystroke.
+export const useQueryParam = (name, defaultValue = "") => {
+  const { query } = useLocation();
+  const value = query[name] ?? defaultValue;
+
+  const setValue = useCallback(
+    (nextValue) => {
+      const nextQuery = Object.fromEntries(
+        new URLSearchParams(window.location.search)
+      );
+      nextQuery[name] = nextValue;
+      navigate(buildPath(window.location.pathname, nextQuery), {
+        replace: true,
+      });
+    },
+    [name]
+  );
+
+  return [value, setValue];
+};
@@ -0,0 +1,61 @@
+import { apiCall } from "./api.js";
+
+// Session helpers: JWT expiry decoding and the optional refresh-token flow
+
+const REFRESH_ENDPOINT = "/token/refresh";
+
+// Decode the payload of a JWT without verifying it; returns null if malformed
+export const decodeTokenPayload = (token) => {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    const padded = payload.padEnd(Math.ceil(payload.length / 4) * 4, "=");
+    return JSON.parse(atob(padded));
+  } catch {
+    return null;
+  }
+};
+
+// Expiry of a JWT in epoch milliseconds, or null when it carries no exp claim
+export const getTokenExpiry = (token) => {
+  const payload = token && decodeTokenPayload(token);
+  return payload?.exp ? payload.exp * 1000 : null;
+};
+
+export const getRefreshToken = () => localStorage.getItem("refresh_token");
+
+// Persist the tokens from a /token (or refresh) response
+export const storeTokens = (data) => {
+  localStorage.setItem("token", data.access_token);
+  if (data.refresh_token) {
+    localStorage.setItem("refresh_token", data.refresh_token);
+  }
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refresh_token");
+};
+
+// Exchange the stored refresh token for a new access token.
+// Resolves to the new access token, or null when the backend offers no refresh.
+export const refreshAccessToken = async () => {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) {
+    return null;
+  }
+  try {
+    const data = await apiCall(
+      REFRESH_ENDPOINT,
+      "POST",
+      { refresh_token: refreshToken },
+      null,
+      { retryAuth: false }
+    );
+    storeTokens(data);
+    return data.access_token;
+  } catch (error) {
+    console.error("Token refresh failed:", error);
+    localStorage.removeItem("refresh_token");
+    return null;
+  }
+};
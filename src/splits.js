@@ -0,0 +1,92 @@
+import { createScopedKey } from "./storage.js";
+
+// Split purchases: one receipt saved as several realizations, one per budget.
+// The backend has no notion of a group, so which realizations belong together is recorded
+// in localStorage by realization id, per user and household.
+
+const getStorageKey = createScopedKey("splitGroups"); // groupId -> { name, ids: [realizationId] }
+
+export const loadSplitGroups = () => {
+  try {
+    return JSON.parse(localStorage.getItem(getStorageKey())) || {};
+  } catch {
+    return {};
+  }
+};
+
+const saveSplitGroups = (groups) => {
+  localStorage.setItem(getStorageKey(), JSON.stringify(groups));
+};
+
+export const saveSplitGroup = (groupId, name, ids) => {
+  saveSplitGroups({
+    ...loadSplitGroups(),
+    [groupId]: { name, ids: ids.map(String) },
+  });
+};
+
+// Unlink a deleted realization; a group left with a single line is no longer a split
+export const removeFromSplitGroup = (realizationId) => {
+  const groups = {};
+  Object.entries(loadSplitGroups()).forEach(([groupId, group]) => {
+    const ids = group.ids.filter((id) => id !== String(realizationId));
+    if (ids.length > 1) {
+      groups[groupId] = { ...group, ids };
+    }
+  });
+  saveSplitGroups(groups);
+};
+
+// Line amounts must match the receipt total to the cent
+export const getSplitRemainder = (total, amounts) =>
+  Math.round(
+    ((parseFloat(total) || 0) -
+      amounts.reduce((sum, amount) => sum + (parseFloat(amount) || 0), 0)) *
+      100
+  ) / 100;
+
+// Collapse realizations that belong to the same split into one group row:
+// { id, name, expense_date, amount, lines: [realization] }. Groups with a single line
+// left in the list (e.g. after filtering) stay ordinary rows.
+export const groupSplitRealizations = (rows, groups = loadSplitGroups()) => {
+  const groupOf = {};
+  Object.entries(groups).forEach(([groupId, group]) => {
+    group.ids.forEach((id) => {
+      groupOf[id] = groupId;
+    });
+  });
+
+  const linesByGroup = {};
+  rows.forEach((row) => {
+    const groupId = groupOf[String(row.id)];
+    if (groupId) {
+      linesByGroup[groupId] = [...(linesByGroup[groupId] || []), row];
+    }
+  });
+
+  const emitted = new Set();
+  const result = [];
+  rows.forEach((row) => {
+    const groupId = groupOf[String(row.id)];
+    const lines = groupId && linesByGroup[groupId];
+    if (!lines || lines.length < 2) {
+      result.push(row);
+      return;
+    }
+    if (emitted.has(groupId)) {
+      return;
+    }
+    emitted.add(groupId);
+    result.push({
+      id: `split-${groupId}`,
+      name: groups[groupId].name,
+      expense_date: lines[0].expense_date,
+      amount:
+        Math.round(
+          lines.reduce((sum, line) => sum + (Number(line.amount) || 0), 0) * 100
+        ) / 100,
+      lines,
+    });
+  });
+  return result;
+};
@@ -0,0 +1,30 @@
+import { getHouseholdId } from "./api.js";
+
+// Data the backend doesn't hold (recurring rules, goals, income, ...) is kept in localStorage.
+// Keys are scoped to the logged-in user and the active household ("personal" outside one),
+// so people sharing a browser don't see each other's data, and are removed on logout.
+// Other members of a household don't see it either: it never leaves this browser.
+
+const scopedNames = new Set();
+let storageUser = "";
+
+export const setStorageUser = (username) => {
+  storageUser = encodeURIComponent(username || ""); // A ":" in a username can't clash with the separators
+};
+
+// A function returning the current key for the data, e.g. "recurringRules:alice:personal"
+export const createScopedKey = (name) => {
+  scopedNames.add(name);
+  return () => `${name}:${storageUser}:${getHouseholdId() ?? "personal"}`;
+};
+
+// Remove all of the current user's scoped data, in every household (on logout)
+export const clearScopedData = () => {
+  const prefixes = [...scopedNames].map((name) => `${name}:${storageUser}:`);
+  for (let i = localStorage.length - 1; i >= 0; i--) {
+    const key = localStorage.key(i);
+    if (prefixes.some((prefix) => key.startsWith(prefix))) {
+      localStorage.removeItem(key);
+    }
+  }
+};
@@ -0,0 +1,313 @@
+import React, { useState } from "react";
+import {
+  ArrowUp,
+  ArrowDown,
+  ChevronLeft,
+  ChevronRight,
+  ChevronDown,
+} from "lucide-react";
+
+// Shared list table with column sorting, free-text search, pagination and a totals footer.
+//
+// columns: [{ key, label, value?, format?, render?, sortable?, searchable?, total? }]
+//   value(row)  raw value used for sorting, searching and totals (defaults to row[key])
+//   format(v)   display text for the value and the column total
+//   render(row) cell contents (defaults to the formatted value)
+//   total       true to sum the column, or (rows) => node for a custom footer cell
+// Totals cover the matching rows on every page and leave out rows marked pendingDelete.
+// getSubRows(row) may return child rows, shown under an expandable parent row.
+
+const PAGE_SIZES = [10, 25, 50, 100];
+
+const HEADER_CLASS =
+  "px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider";
+const CELL_CLASS = "px-6 py-4 whitespace-nowrap text-sm text-gray-700";
+
+const getValue = (column, row) =>
+  column.value ? column.value(row) : row[column.key];
+
+const formatCell = (column, row) => {
+  const value = getValue(column, row);
+  return column.format ? column.format(value) : value;
+};
+
+// Numbers compare numerically, everything else as text; empty values sort last
+const compareValues = (a, b) => {
+  const aEmpty = a === null || a === undefined || a === "";
+  const bEmpty = b === null || b === undefined || b === "";
+  if (aEmpty || bEmpty) {
+    return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+  }
+  if (typeof a === "number" && typeof b === "number") {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+// Drop floating point noise from summed amounts
+const formatTotal = (value) => Math.round(value * 100) / 100;
+
+export const DataTable = ({
+  rows,
+  columns,
+  defaultSort = null, // { key, direction: 'asc' | 'desc' }
+  searchPlaceholder = "Search...",
+  rowClassName = () => "",
+  emptyMessage = "No matching rows.",
+  getSubRows = () => null,
+}) => {
+  const [search, setSearch] = useState("");
+  const [sort, setSort] = useState(defaultSort);
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[1]);
+  const [expanded, setExpanded] = useState({}); // rowId -> true
+
+  const searchableColumns = columns.filter((column) => column.searchable);
+  const query = search.trim().toLowerCase();
+  const filteredRows = query
+    ? rows.filter((row) =>
+        searchableColumns.some((column) =>
+          String(getValue(column, row) ?? "")
+            .toLowerCase()
+            .includes(query)
+        )
+      )
+    : rows;
+
+  const sortColumn = sort && columns.find((column) => column.key === sort.key);
+  const sortedRows = sortColumn
+    ? [...filteredRows].sort((a, b) => {
+        const result = compareValues(
+          getValue(sortColumn, a),
+          getValue(sortColumn, b)
+        );
+        return sort.direction === "desc" ? -result : result;
+      })
+    : filteredRows;
+
+  const pageCount = Math.max(1, Math.ceil(sortedRows.length / pageSize));
+  const currentPage = Math.min(page, pageCount - 1); // Stay in range when rows are removed
+  const pageRows = sortedRows.slice(
+    currentPage * pageSize,
+    (currentPage + 1) * pageSize
+  );
+  const hasTotals = columns.some((column) => column.total);
+  const totalRows = filteredRows.filter((row) => !row.pendingDelete);
+
+  const handleSort = (key) => {
+    setSort((current) =>
+      current?.key === key && current.direction === "asc"
+        ? { key, direction: "desc" }
+        : { key, direction: "asc" }
+    );
+    setPage(0);
+  };
+
+  const toggleExpanded = (id) => {
+    setExpanded((current) => ({ ...current, [id]: !current[id] }));
+  };
+
+  const renderRow = (row, isSubRow = false) => {
+    const subRows = isSubRow ? null : getSubRows(row);
+    return (
+      <tr
+        key={row.id}
+        className={`hover:bg-gray-50 ${
+          isSubRow ? "bg-gray-50" : ""
+        } ${rowClassName(row)}`}
+      >
+        {columns.map((column, index) => (
+          <td
+            key={column.key}
+            className={
+              index === 0
+                ? `${CELL_CLASS} font-medium text-gray-900 ${
+                    isSubRow ? "pl-12" : ""
+                  }`
+                : CELL_CLASS
+            }
+          >
+            {index === 0 && subRows && (
+              <button
+                type="button"
+                onClick={() => toggleExpanded(row.id)}
+                className="mr-2 align-middle text-gray-500 hover:text-gray-900"
+                title={expanded[row.id] ? "Collapse" : "Expand"}
+                aria-expanded={!!expanded[row.id]}
+              >
+                {expanded[row.id] ? (
+                  <ChevronDown size={16} />
+                ) : (
+                  <ChevronRight size={16} />
+                )}
+              </button>
+            )}
+            {column.render ? column.render(row) : formatCell(column, row)}
+          </td>
+        ))}
+      </tr>
+    );
+  };
+
+  const renderTotal = (column) => {
+    if (typeof column.total === "function") {
+      return column.total(totalRows);
+    }
+    const total = formatTotal(
+      totalRows.reduce(
+        (sum, row) => sum + (Number(getValue(column, row)) || 0),
+        0
+      )
+    );
+    return column.format ? column.format(total) : total;
+  };
+
+  return (
+    <div>
+      {searchableColumns.length > 0 && (
+        <div className="mb-4 flex items-center justify-between space-x-4">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setPage(0);
+            }}
+            placeholder={searchPlaceholder}
+            className="w-full max-w-sm px-4 py-2 text-black border border-gray-300 rounded-lg"
+          />
+          <span className="text-sm text-gray-600 whitespace-nowrap">
+            {filteredRows.length} of {rows.length} rows
+          </span>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-md">
+          <thead className="bg-gray-100 border-b border-gray-200">
+            <tr>
+              {columns.map((column) =>
+                column.sortable === false ? (
+                  <th key={column.key} className={HEADER_CLASS}>
+                    {column.label}
+                  </th>
+                ) : (
+                  <th
+                    key={column.key}
+                    className={HEADER_CLASS}
+                    aria-sort={
+                      sort?.key === column.key
+                        ? sort.direction === "asc"
+                          ? "ascending"
+                          : "descending"
+                        : "none"
+                    }
+                  >
+                    <button
+                      type="button"
+                      onClick={() => handleSort(column.key)}
+                      className="inline-flex items-center uppercase tracking-wider hover:text-gray-900"
+                    >
+                      {column.label}
+                      {sort?.key === column.key &&
+                        (sort.direction === "asc" ? (
+                          <ArrowUp size={14} className="ml-1" />
+                        ) : (
+                          <ArrowDown size={14} className="ml-1" />
+                        ))}
+                    </button>
+                  </th>
+                )
+              )}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {pageRows.length === 0 && (
+              <tr>
+                <td
+                  colSpan={columns.length}
+                  className="px-6 py-4 text-sm text-gray-600 text-center"
+                >
+                  {emptyMessage}
+                </td>
+              </tr>
+            )}
+            {pageRows.map((row) => [
+              renderRow(row),
+              ...(expanded[row.id]
+                ? (getSubRows(row) || []).map((subRow) =>
+                    renderRow(subRow, true)
+                  )
+                : []),
+            ])}
+          </tbody>
+          {hasTotals && filteredRows.length > 0 && (
+            <tfoot className="bg-gray-50 border-t-2 border-gray-200">
+              <tr>
+                {columns.map((column, index) => (
+                  <td
+                    key={column.key}
+                    className="px-6 py-3 whitespace-nowrap text-sm font-semibold text-gray-800"
+                  >
+                    {column.total
+                      ? renderTotal(column)
+                      : index === 0
+                      ? `Total (${totalRows.length}${
+                          pageCount > 1 ? ", all pages" : ""
+                        })`
+                      : ""}
+                  </td>
+                ))}
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </div>
+
+      {sortedRows.length > PAGE_SIZES[0] && (
+        <div className="mt-4 flex items-center justify-between text-sm text-gray-600">
+          <label className="flex items-center space-x-2">
+            <span>Rows per page:</span>
+            <select
+              value={pageSize}
+              onChange={(e) => {
+                setPageSize(parseInt(e.target.value));
+                setPage(0);
+              }}
+              className="px-2 py-1 text-black border border-gray-300 rounded-lg"
+            >
+              {PAGE_SIZES.map((size) => (
+                <option key={size} value={size}>
+                  {size}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div className="flex items-center space-x-3">
+            <button
+              type="button"
+              onClick={() => setPage(currentPage - 1)}
+              disabled={currentPage === 0}
+              className="p-1 rounded-lg hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed"
+              title="Previous page"
+            >
+              <ChevronLeft size={18} />
+            </button>
+            <span>
+              Page {currentPage + 1} of {pageCount}
+            </span>
+            <button
+              type="button"
+              onClick={() => setPage(currentPage + 1)}
+              disabled={currentPage >= pageCount - 1}
+              className="p-1 rounded-lg hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed"
+              title="Next page"
+            >
+              <ChevronRight size={18} />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,190 @@
+import React, { useEffect, useRef } from "react";
+import {
+  CheckCircle,
+  Info,
+  AlertTriangle,
+  XCircle,
+  X,
+  RotateCcw,
+} from "lucide-react";
+import {
+  useNotifications,
+  dismissToast,
+  pauseToast,
+  resumeToast,
+  resolveConfirmation,
+} from "./notifications.js";
+
+// Renders the toasts and the confirmation dialog raised through notifications.js.
+
+const TOAST_STYLES = {
+  success: { icon: CheckCircle, className: "bg-green-100 text-green-800" },
+  info: { icon: Info, className: "bg-blue-100 text-blue-800" },
+  warning: { icon: AlertTriangle, className: "bg-amber-100 text-amber-800" },
+  error: { icon: XCircle, className: "bg-red-100 text-red-800" },
+};
+
+const FOCUSABLE_SELECTOR =
+  'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Stacked toasts in the bottom-right corner. Screen readers announce new toasts politely,
+// errors immediately. A toast doesn't close by itself while hovered or focused.
+export const ToastRegion = () => {
+  const { toasts } = useNotifications();
+
+  return (
+    <div
+      aria-live="polite"
+      className="fixed bottom-4 right-4 z-50 flex flex-col items-end space-y-2 max-w-sm w-full print:hidden"
+    >
+      {toasts.map((toast) => {
+        const { icon: Icon, className } =
+          TOAST_STYLES[toast.type] || TOAST_STYLES.info;
+        return (
+          <div
+            key={toast.id}
+            role={toast.type === "error" ? "alert" : "status"}
+            onMouseEnter={() => pauseToast(toast.id, "hover")}
+            onMouseLeave={() => resumeToast(toast.id, "hover")}
+            onFocus={() => pauseToast(toast.id, "focus")}
+            onBlur={(e) => {
+              if (!e.currentTarget.contains(e.relatedTarget)) {
+                resumeToast(toast.id, "focus");
+              }
+            }}
+            className={`w-full flex items-start p-3 rounded-lg shadow-md ${className}`}
+          >
+            <Icon size={20} className="mr-2 flex-shrink-0" aria-hidden="true" />
+            <span className="flex-1">{toast.text}</span>
+            {toast.action && (
+              <button
+                onClick={() => {
+                  dismissToast(toast.id);
+                  toast.action.onClick();
+                }}
+                className="flex items-center ml-2 px-3 py-1 bg-white/70 hover:bg-white rounded-lg font-semibold transition duration-150 ease-in-out"
+              >
+                <RotateCcw size={16} className="mr-1" /> {toast.action.label}
+              </button>
+            )}
+            <button
+              onClick={() => dismissToast(toast.id)}
+              className="ml-2 opacity-70 hover:opacity-100"
+              aria-label="Dismiss notification"
+            >
+              <X size={18} />
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// Modal confirmation. Focus starts on Cancel and stays inside the dialog until it closes;
+// Escape cancels. Focus returns to where it was before the dialog opened.
+export const ConfirmDialog = () => {
+  const { confirmation } = useNotifications();
+  const dialogRef = useRef(null);
+  const cancelRef = useRef(null);
+
+  useEffect(() => {
+    if (!confirmation) {
+      return undefined;
+    }
+    const previouslyFocused = document.activeElement;
+    cancelRef.current?.focus();
+    return () => previouslyFocused?.focus?.();
+  }, [confirmation]);
+
+  if (!confirmation) {
+    return null;
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      resolveConfirmation(false);
+      return;
+    }
+    if (e.key !== "Tab") {
+      return;
+    }
+    const focusable = [
+      ...dialogRef.current.querySelectorAll(FOCUSABLE_SELECTOR),
+    ];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-black/50 flex items-center justify-center p-4"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) {
+          resolveConfirmation(false);
+        }
+      }}
+    >
+      <div
+        ref={dialogRef}
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="confirmTitle"
+        aria-describedby="confirmMessage"
+        onKeyDown={handleKeyDown}
+        className="bg-white p-6 rounded-xl shadow-lg max-w-md w-full"
+      >
+        <h2
+          id="confirmTitle"
+          className="text-xl font-bold text-gray-800 mb-2 flex items-center"
+        >
+          {confirmation.danger && (
+            <AlertTriangle
+              size={22}
+              className="mr-2 text-red-600"
+              aria-hidden="true"
+            />
+          )}
+          {confirmation.title}
+        </h2>
+        <p id="confirmMessage" className="text-gray-700 mb-3">
+          {confirmation.message}
+        </p>
+        {confirmation.details.length > 0 && (
+          <ul className="mb-4 max-h-48 overflow-y-auto list-disc list-inside text-sm text-gray-600 bg-gray-50 p-3 rounded-lg">
+            {confirmation.details.map((detail, index) => (
+              <li key={index}>{detail}</li>
+            ))}
+          </ul>
+        )}
+        <div className="flex justify-end space-x-3">
+          <button
+            ref={cancelRef}
+            onClick={() => resolveConfirmation(false)}
+            className="px-5 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition duration-300 ease-in-out"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => resolveConfirmation(true)}
+            className={`px-5 py-2 text-white rounded-lg shadow-md transition duration-300 ease-in-out ${
+              confirmation.danger
+                ? "bg-red-600 hover:bg-red-700"
+                : "bg-blue-600 hover:bg-blue-700"
+            }`}
+          >
+            {confirmation.confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,189 @@
+import { ValidationError } from "./api.js";
+
+// Shared form validation. Validators return an error map keyed by the API field name
+// (field -> message), the same shape as ValidationError.fieldErrors, so client-side and
+// server-side (FastAPI 422) errors are shown the same way, next to the field.
+
+export const MIN_YEAR = 2000;
+export const MAX_YEAR = 2100;
+export const MIN_PASSWORD_LENGTH = 6;
+
+// Fields each form sends to the API, for mapping server errors onto them
+export const BUDGET_FIELDS = ["name", "limit", "budget_month", "budget_year"];
+export const REALIZATION_FIELDS = [
+  "name",
+  "amount",
+  "expense_date",
+  "budget_id",
+];
+export const REGISTRATION_FIELDS = ["username", "password"];
+
+export const hasErrors = (errors) => Object.keys(errors).length > 0;
+
+// Drop undefined entries so a map of checks becomes an error map
+const compact = (errors) =>
+  Object.fromEntries(
+    Object.entries(errors).filter(([, message]) => message !== undefined)
+  );
+
+// --- Field Validators (return a message, or undefined when valid) ---
+
+export const validateRequired = (value, label = "This field") =>
+  value === null || value === undefined || String(value).trim() === ""
+    ? `${label} is required.`
+    : undefined;
+
+export const validateAmount = (value, label = "Amount") => {
+  if (value === null || value === undefined || String(value).trim() === "") {
+    return `${label} is required.`;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    return `${label} must be a number.`;
+  }
+  if (number < 0) {
+    return `${label} can't be negative.`;
+  }
+  return undefined;
+};
+
+// An amount that must be more than zero, e.g. a goal's target
+export const validatePositiveAmount = (value, label = "Amount") =>
+  validateAmount(value, label) ||
+  (Number(value) > 0 ? undefined : `${label} must be more than zero.`);
+
+export const validateMonth = (value) => {
+  const month = Number(value);
+  return Number.isInteger(month) && month >= 1 && month <= 12
+    ? undefined
+    : "Month must be between 1 and 12.";
+};
+
+export const validateYear = (value) => {
+  const year = Number(value);
+  return Number.isInteger(year) && year >= MIN_YEAR && year <= MAX_YEAR
+    ? undefined
+    : `Year must be between ${MIN_YEAR} and ${MAX_YEAR}.`;
+};
+
+// A real calendar date in YYYY-MM-DD, within the supported years
+export const validateDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!match) {
+    return "Date must be in YYYY-MM-DD format.";
+  }
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return "This date doesn't exist.";
+  }
+  return validateYear(year);
+};
+
+export const validatePassword = (value) => {
+  if (!value || value.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  if (!/[A-Za-z]/.test(value) || !/\d/.test(value)) {
+    return "Password must contain both letters and numbers.";
+  }
+  return undefined;
+};
+
+// --- Form Validators ---
+
+// budgets: existing budgets, to reject a second budget with the same name in a month
+export const validateBudget = (data, budgets = [], editingId = null) => {
+  const name = (data.name || "").trim().toLowerCase();
+  const isDuplicate = budgets.some(
+    (budget) =>
+      budget.id !== editingId &&
+      !budget.pendingDelete &&
+      budget.name.trim().toLowerCase() === name &&
+      Number(budget.budget_month) === Number(data.budget_month) &&
+      Number(budget.budget_year) === Number(data.budget_year)
+  );
+  return compact({
+    name:
+      validateRequired(data.name, "Budget name") ||
+      (isDuplicate
+        ? "A budget with this name already exists for this month."
+        : undefined),
+    limit: validateAmount(data.limit, "Limit"),
+    budget_month: validateMonth(data.budget_month),
+    budget_year: validateYear(data.budget_year),
+  });
+};
+
+// Copying budgets into another month: the target month and the limit of each copied row,
+// keyed "limit-<sourceId>"
+export const validateBudgetCopy = (rows, month, year) =>
+  compact({
+    budget_month: validateMonth(month),
+    budget_year: validateYear(year),
+    ...Object.fromEntries(
+      rows.map((row) => [
+        `limit-${row.sourceId}`,
+        validateAmount(row.limit, "Limit"),
+      ])
+    ),
+  });
+
+export const validateRealization = (data) =>
+  compact({
+    name: validateRequired(data.name, "Description"),
+    amount: validateAmount(data.amount),
+    expense_date: validateDate(data.expense_date),
+    budget_id: data.budget_id ? undefined : "Please select a budget.",
+  });
+
+export const validateGoal = (data) =>
+  compact({
+    name: validateRequired(data.name, "Goal name"),
+    target: validatePositiveAmount(data.target, "Target"),
+    targetMonth: validateRequired(data.targetMonth, "Target month"),
+    monthlyContribution: validateAmount(
+      data.monthlyContribution,
+      "Monthly contribution"
+    ),
+    budgetName: data.budgetName ? undefined : "Please select a budget.",
+  });
+
+export const validateContribution = (data) =>
+  compact({
+    amount: validatePositiveAmount(data.amount),
+    date: validateDate(data.date),
+  });
+
+export const validateIncome = (data) =>
+  compact({
+    date: validateDate(data.date),
+    source: validateRequired(data.source, "Source"),
+    amount: validateAmount(data.amount),
+  });
+
+export const validateRegistration = ({ username, password }) =>
+  compact({
+    username: validateRequired(username, "Username"),
+    password: validatePassword(password),
+  });
+
+// --- Server Errors ---
+
+// The 422 field errors of a failed request when every one belongs to the given form fields,
+// so they can be shown inline; null when the error has to be reported some other way.
+export const getServerFieldErrors = (error, fields) => {
+  if (!(error instanceof ValidationError) || !hasErrors(error.fieldErrors)) {
+    return null;
+  }
+  return Object.keys(error.fieldErrors).every((field) => fields.includes(field))
+    ? error.fieldErrors
+    : null;
+};
+
+// Clear one field's error once the user edits it
+export const withoutError = (errors, field) => {
+  const next = { ...errors };
+  delete next[field];
+  return next;
+};
@@ -1,8 +1,58 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import tailwindcss from "@tailwindcss/vite";
+import { VitePWA } from "vite-plugin-pwa";
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [
+    react(),
+    tailwindcss(),
+    VitePWA({
+      registerType: "autoUpdate",
+      includeAssets: ["icons/apple-touch-icon.png"],
+      manifest: {
+        name: "House Finance",
+        short_name: "Finance",
+        description: "Household budgets and expenses",
+        start_url: "/budgets",
+        display: "standalone",
+        background_color: "#f9fafb",
+        theme_color: "#2563eb",
+        icons: [
+          {
+            src: "/icons/icon-192.png",
+            sizes: "192x192",
+            type: "image/png",
+          },
+          {
+            src: "/icons/icon-512.png",
+            sizes: "512x512",
+            type: "image/png",
+            purpose: "any maskable",
+          },
+        ],
+        shortcuts: [
+          {
+            name: "Add Expense",
+            short_name: "Add",
+            description: "Log a new expense",
+            url: "/quick-add",
+            icons: [
+              {
+                src: "/icons/shortcut-add-expense.png",
+                sizes: "96x96",
+                type: "image/png",
+              },
+            ],
+          },
+        ],
+      },
+      workbox: {
+        // Precache the built shell; client-side routes fall back to index.html
+        globPatterns: ["**/*.{js,css,html,svg,png}"],
+        navigateFallback: "/index.html",
+      },
+    }),
+  ],
 });